@@ -0,0 +1,30 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+// ==========================
+// Provedor: Google Gemini
+// ==========================
+export function createGeminiProvider({ apiKey, model }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const modelName = model || "gemini-2.0-flash";
+
+  return {
+    name: "gemini",
+    modelName,
+    getModel() {
+      const generativeModel = genAI.getGenerativeModel({ model: modelName });
+      return {
+        // O SDK espera a configuração de geração dentro da requisição,
+        // não como segundo argumento (que são as opções de transporte).
+        async generateContent(request, generationConfig) {
+          const parts = (Array.isArray(request) ? request : [request])
+            .map(part => (typeof part === "string" ? { text: part } : part));
+          const result = await generativeModel.generateContent({
+            contents: [{ role: "user", parts }],
+            ...(generationConfig ? { generationConfig } : {}),
+          });
+          return { response: { text: () => result.response.text() } };
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+import { createRateLimiter, withRetry } from "../services/workQueue.js";
+
+// ==========================
+// Seleção do provedor de IA
+// ==========================
+// Todos os provedores expõem a mesma interface: getModel() devolve um objeto
+// com generateContent(request, generationConfig), cuja resposta segue o
+// formato do SDK do Gemini (result.response.text()).
+//
+// Cada provedor tem seu próprio limitador de taxa (token bucket) e as chamadas
+// que falham com 429/5xx são repetidas com backoff exponencial.
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+// Requisições por minuto padrão de cada provedor (0 = sem limite)
+const DEFAULT_RATE_LIMITS = {
+  gemini: 15,
+  openai: 60,
+  mock: 0,
+};
+
+function withRateLimitAndRetry(provider, { requestsPerMinute, burst, retries }) {
+  const limiter = createRateLimiter({ requestsPerMinute, burst });
+  return {
+    ...provider,
+    getModel() {
+      const model = provider.getModel();
+      return {
+        generateContent: (...args) => withRetry(async () => {
+          await limiter.acquire();
+          return model.generateContent(...args);
+        }, {
+          retries,
+          onRetry: (error, attempt, delay) => console.warn(
+            `[IA] Erro transitório (${error.status ?? error.message}). Tentativa ${attempt}/${retries} em ${Math.round(delay / 1000)}s...`
+          ),
+        }),
+      };
+    },
+  };
+}
+
+export function createProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || "gemini").toLowerCase();
+  const factory = Object.hasOwn(factories, name) ? factories[name] : null;
+  if (!factory) {
+    throw new Error(`Provedor de IA desconhecido: "${name}". Use: ${Object.keys(factories).join(", ")}.`);
+  }
+
+  const provider = factory({
+    apiKey: name === "openai" ? env.OPENAI_API_KEY : env.GEMINI_API_KEY,
+    baseUrl: env.OPENAI_BASE_URL,
+    model: env.AI_MODEL,
+  });
+
+  return withRateLimitAndRetry(provider, {
+    requestsPerMinute: Number(env.AI_RATE_LIMIT_RPM ?? DEFAULT_RATE_LIMITS[name]),
+    burst: Number(env.AI_RATE_LIMIT_BURST || 1),
+    retries: Number(env.AI_MAX_RETRIES ?? 4),
+  });
+}
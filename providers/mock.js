@@ -0,0 +1,127 @@
+// ==========================
+// Provedor: mock local determinístico
+// ==========================
+// Não faz nenhuma chamada de rede. Cada regra abaixo reconhece um dos prompts
+// usados pelo servidor e devolve uma resposta fixa no formato esperado, o que
+// permite rodar o fluxo completo dos jobs offline.
+
+function mockGrading(prompt) {
+  const total = Number(prompt.match(/Total questions = (\d+)/)?.[1] || 0);
+  const key = JSON.parse(prompt.match(/ANSWER KEY \(string array\): (\[.*\])/)?.[1] || "[]");
+  const details = Array.from({ length: total }, (_, i) => ({ q: i + 1, marked: key[i] || "A", correct: true, confidence: 0.9 }));
+  return JSON.stringify({ student: { name: "Aluno Simulado", id: "0001" }, details, invalidated: false });
+}
+
+// Dá 1 ponto em cada critério; o servidor limita ao valor máximo do critério
+function mockRubricGrading(prompt) {
+  const example = JSON.parse(prompt.match(/\{"aluno".*\}/)[0]);
+  example.aluno = null;
+  example.feedback = "Correção simulada pelo provedor mock.";
+  example.questions.forEach(q => q.criteria.forEach(c => {
+    c.points = 1;
+    c.justification = "Justificativa simulada.";
+  }));
+  return JSON.stringify(example);
+}
+
+function mockActivity(prompt) {
+  const quantity = Number(prompt.match(/exatamente (\d+) quest/i)?.[1] || 1);
+  const trueFalse = /Verdadeiro\/Falso/.test(prompt);
+  const essay = /dissertativas/.test(prompt);
+  const questions = Array.from({ length: quantity }, (_, i) => {
+    const question = { number: i + 1, topic: "Tema simulado", statement: `Questão de exemplo ${i + 1}?`, explanation: "Explicação simulada." };
+    if (essay) return question;
+    if (trueFalse) {
+      question.items = [true, false, true, false].map((value, j) => ({ text: `Afirmação ${j + 1}`, value }));
+      question.alternatives = ["V, F, V, F", "F, F, V, V", "V, V, F, F", "F, V, F, V"]
+        .map((text, j) => ({ letter: "ABCD"[j], text }));
+    } else {
+      question.alternatives = ["A", "B", "C", "D"].map(letter => ({ letter, text: `Opção ${letter}` }));
+    }
+    question.correct = "A";
+    return question;
+  });
+  return JSON.stringify({ questions });
+}
+
+const rules = [
+  {
+    match: (prompt, hasMedia) => hasMedia && /Identifique quem fala/.test(prompt),
+    respond: () => "[00:00] Professor: Este é um trecho de aula simulado.\n[00:04] Aluno 1: pergunta qual é o tema da aula ponto",
+  },
+  {
+    match: (prompt, hasMedia) => hasMedia && /Transcreva o áudio/.test(prompt),
+    respond: prompt => `${/\[IDIOMA: xx\]/.test(prompt) ? "[IDIOMA: pt]\n" : ""}[00:00] Este é um trecho de transcrição simulada.\n[00:04] pergunta qual é o tema da aula ponto`,
+  },
+  {
+    match: prompt => /cada linha numerada abaixo/.test(prompt),
+    respond: prompt => prompt.split("\n").filter(line => /^\d+: /.test(line)).map(line => line.replace(/^(\d+): /, "$1: [tradução] ")).join("\n"),
+  },
+  {
+    match: prompt => /Traduza o texto abaixo/.test(prompt),
+    respond: prompt => `[tradução] ${prompt.match(/"""([\s\S]*)"""/)[1]}`,
+  },
+  {
+    match: prompt => /Anote os pontos principais/.test(prompt),
+    respond: prompt => `- Anotações simuladas do ${prompt.match(/trecho \d+ de \d+/)[0]}`,
+  },
+  {
+    match: prompt => /Gere um resumo/.test(prompt),
+    respond: () => "• Tópico principal simulado\n• Segundo tópico simulado",
+  },
+  {
+    match: prompt => /Gere um guia de estudo/.test(prompt),
+    respond: () => "Objetivos da aula\n- Objetivo simulado\nPerguntas para revisão\n1. Pergunta simulada?",
+  },
+  {
+    match: prompt => /Gere um glossário/.test(prompt),
+    respond: () => "Termo simulado: definição simulada.",
+  },
+  {
+    match: prompt => /Gere um mapa mental/.test(prompt),
+    respond: () => "Tema central simulado\n  - Ramo simulado\n    - Detalhe simulado",
+  },
+  {
+    match: prompt => /ANSWER KEY/.test(prompt),
+    respond: mockGrading,
+  },
+  {
+    match: (prompt, hasMedia) => hasMedia && /cabeçalho desta folha de respostas/.test(prompt),
+    respond: () => JSON.stringify({ name: "Aluno Simulado", id: "0001" }),
+  },
+  {
+    match: (prompt, hasMedia) => hasMedia && /nome do aluno escrito no topo desta página/.test(prompt),
+    respond: () => JSON.stringify({ name: "Aluno Simulado" }),
+  },
+  {
+    match: prompt => /RUBRICA:/.test(prompt),
+    respond: mockRubricGrading,
+  },
+  {
+    match: prompt => /Elabore uma atividade/.test(prompt),
+    respond: mockActivity,
+  },
+];
+
+export function createMockProvider({ model } = {}) {
+  const modelName = model || "mock";
+
+  return {
+    name: "mock",
+    modelName,
+    getModel() {
+      return {
+        async generateContent(request) {
+          const parts = Array.isArray(request) ? request : [request];
+          const prompt = parts
+            .map(part => (typeof part === "string" ? part : part.text || ""))
+            .join("\n");
+          const hasMedia = parts.some(part => part && part.inlineData);
+          const rule = rules.find(r => r.match(prompt, hasMedia));
+          const text = rule ? rule.respond(prompt) : "Resposta simulada.";
+          return { response: { text: () => text } };
+        },
+      };
+    },
+  };
+}
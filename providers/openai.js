@@ -0,0 +1,58 @@
+// ==========================
+// Provedor: endpoint HTTP compatível com OpenAI (/chat/completions)
+// ==========================
+
+// Converte uma parte no formato Gemini ({ inlineData }) para o formato OpenAI
+function toOpenAIContent(part) {
+  if (typeof part === "string") return { type: "text", text: part };
+  if (part.text !== undefined) return { type: "text", text: part.text };
+
+  const { data, mimeType } = part.inlineData;
+  if (mimeType.startsWith("audio/")) {
+    const format = mimeType.split("/")[1].replace("mpeg", "mp3");
+    return { type: "input_audio", input_audio: { data, format } };
+  }
+  return { type: "image_url", image_url: { url: `data:${mimeType};base64,${data}` } };
+}
+
+export function createOpenAIProvider({ apiKey, baseUrl, model }) {
+  const endpoint = `${(baseUrl || "https://api.openai.com/v1").replace(/\/+$/, "")}/chat/completions`;
+  const modelName = model || "gpt-4o-mini";
+
+  return {
+    name: "openai",
+    modelName,
+    getModel() {
+      return {
+        async generateContent(request, generationConfig = {}) {
+          const content = (Array.isArray(request) ? request : [request]).map(toOpenAIContent);
+          const body = {
+            model: modelName,
+            messages: [{ role: "user", content }],
+          };
+          if (generationConfig.temperature !== undefined) body.temperature = generationConfig.temperature;
+
+          const response = await fetch(endpoint, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify(body),
+          });
+
+          if (!response.ok) {
+            const detail = await response.text().catch(() => "");
+            const error = new Error(`[${response.status} ${response.statusText}] ${detail}`.trim());
+            error.status = response.status;
+            throw error;
+          }
+
+          const data = await response.json();
+          const text = data.choices?.[0]?.message?.content ?? "";
+          return { response: { text: () => text } };
+        },
+      };
+    },
+  };
+}
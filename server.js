@@ -1,32 +1,140 @@
 import express from "express";
 import multer from "multer";
 import cors from "cors";
+import { WebSocketServer, WebSocket } from "ws";
 import fs from "fs";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { v4 as uuidv4 } from "uuid";
 import ffmpeg from "fluent-ffmpeg";
 import ffmpegStatic from "ffmpeg-static";
+import ffprobeStatic from "ffprobe-static";
+import { createProvider } from "./providers/index.js";
+import { createJobStore } from "./services/jobStore.js";
+import { createWorkQueue } from "./services/workQueue.js";
+import { dividirNasPausas, removerSobreposicao } from "./services/audioChunking.js";
+import { validarMidia, prepararAudio } from "./services/mediaValidation.js";
+import {
+  buildActivityPrompt,
+  buildRetryPrompt,
+  parseActivityResponse,
+  validarAtividade,
+  normalizarAtividade,
+  renderizarAtividade,
+} from "./services/activity.js";
+import { gerarPdf, gerarDocx, DOCUMENTS, FORMATS } from "./services/activityExport.js";
+import { MAX_QUESTIONS } from "./services/answerSheetLayout.js";
+import { lerFolhaDeRespostas, recortarCabecalho } from "./services/omr.js";
+import { rubricaSimples, validarRubrica, normalizarRubrica, buildRubricPrompt, calcularNotaPorRubrica } from "./services/rubric.js";
+import { AGRUPAMENTOS, paginasDoArquivo, agruparPaginas, rotuloDaPagina } from "./services/essaySubmissions.js";
+import { createGradebook, estatisticas } from "./services/gradebook.js";
+import { gerarCsv, gerarXlsx, GRADEBOOK_FORMATS } from "./services/gradebookExport.js";
+import { marcarRevisao, aplicarRevisao, registrarNovaCorrecao } from "./services/review.js";
+import { createLibrary, QUESTION_TYPES } from "./services/library.js";
+import { createUserStore, authMiddleware, usuarioDoToken, podeAcessar, usuarioPublico } from "./services/auth.js";
+import { createLiveRecording } from "./services/liveRecording.js";
+import { SUMMARY_STYLES, DEFAULT_SUMMARY_STYLE, estiloValido, anotarTranscricao, gerarResumo } from "./services/summary.js";
+import { DEFAULT_VOICE_RULES, LEGACY_VOICE_RULES, validarRegras, aplicarComandosDeVoz } from "./services/voiceCommands.js";
+import { parseTimestampedText, segmentsToText, toSrt, toVtt, toTxt } from "./services/subtitles.js";
+import {
+  AUTO_LANGUAGE,
+  nomeDoIdioma,
+  validarIdioma,
+  instrucaoDeIdioma,
+  extrairIdiomaDetectado,
+  idiomaPredominante,
+  traduzirSegmentos,
+  traduzirTexto,
+} from "./services/language.js";
 
 // ==========================
 // Configuração do FFmpeg
 // ==========================
 ffmpeg.setFfmpegPath(ffmpegStatic);
+ffmpeg.setFfprobePath(ffprobeStatic.path);
+
+// ==========================
+// Limites de upload e preparação do áudio
+// ==========================
+const MEDIA_SETTINGS = {
+  maxUploadBytes: Number(process.env.MAX_UPLOAD_MB || 500) * 1024 * 1024,
+  maxDurationSeconds: Number(process.env.MAX_AUDIO_MINUTES || 240) * 60,
+  normalize: process.env.AUDIO_NORMALIZE !== "false",
+  denoise: process.env.AUDIO_DENOISE !== "false",
+};
 
 const app = express();
-const upload = multer({ dest: "uploads/" }); 
-app.use(cors());
+const upload = multer({ dest: "uploads/", limits: { fileSize: MEDIA_SETTINGS.maxUploadBytes } }); 
+
+// Nas correções, apaga as imagens/PDFs enviados quando o pedido é recusado
+// (4xx) antes de virar um job; os aceitos ficam com o job (job.files)
+function removerUploadsSeRecusado(req, res, next) {
+  res.on("finish", () => {
+    if (res.statusCode < 400) return;
+    for (const file of Object.values(req.files || {}).flat()) fs.rmSync(file.path, { force: true });
+  });
+  next();
+}
+// ==========================
+// CORS e autenticação (tokens de API, ver 👤 USUÁRIOS E TOKENS)
+// ==========================
+// CORS_ORIGINS vazio mantém o CORS aberto; com a lista, só essas origens.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
+const AUTH_SETTINGS = { enabled: process.env.AUTH_ENABLED !== "false" };
+const userStore = createUserStore({
+  dir: process.env.USERS_DIR || "data/users",
+  adminToken: process.env.ADMIN_TOKEN || "",
+  defaultQuota: {
+    audioMinutes: Number(process.env.QUOTA_AUDIO_MINUTES_PER_DAY || 600),
+    sheets: Number(process.env.QUOTA_SHEETS_PER_DAY || 300),
+    activities: Number(process.env.QUOTA_ACTIVITIES_PER_DAY || 50),
+  },
+});
+if (AUTH_SETTINGS.enabled && !process.env.ADMIN_TOKEN && userStore.listUsers().length === 0) {
+  console.warn("[AUTH] Autenticação ativa sem ADMIN_TOKEN e sem usuários: nenhuma requisição será aceita.");
+}
+
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : undefined));
 app.use(express.json()); // Middleware para JSON
+app.use(authMiddleware(userStore, AUTH_SETTINGS));
+
+// Responde 429 (ou outro erro da cota) e devolve false se o pedido passar do limite
+function consumirCota(req, res, unit, amount, options) {
+  try {
+    userStore.consumir(req.user, unit, amount, options);
+    return true;
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+    return false;
+  }
+}
+
+// ==========================
+// Configuração do provedor de IA (AI_PROVIDER=gemini|openai|mock)
+// ==========================
+const aiProvider = createProvider();
+console.log(`[IA] Provedor: ${aiProvider.name} (modelo: ${aiProvider.modelName})`);
 
 // ==========================
-// Configuração da API Gemini
+// Fila compartilhada de itens (partes de áudio, folhas de alunos) enviados à IA.
+// A taxa de requisições e as novas tentativas ficam no provedor.
 // ==========================
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+const aiQueue = createWorkQueue({ concurrency: Number(process.env.AI_CONCURRENCY || 3) });
 
 // ==========================
-// BANCO DE MEMÓRIA (JOBS)
+// BANCO DE JOBS (persistido em disco, com expiração por TTL)
 // ==========================
-const jobs = {};
+const jobStore = createJobStore({
+  dir: process.env.JOBS_DIR || "data/jobs",
+  ttlMs: Number(process.env.JOB_TTL_HOURS || 24) * 60 * 60 * 1000,
+  onRemove: (jobId, job) => {
+    limparArquivosTranscricao(jobId, job);
+    limparArquivosDaCorrecao(jobId, job);
+  },
+});
+
+// Turmas e avaliações não expiram como os jobs (ver 📚 DIÁRIO DE NOTAS)
+const gradebook = createGradebook({ dir: process.env.GRADEBOOK_DIR || "data/gradebook" });
+// Aulas salvas e banco de questões (ver 📖 BIBLIOTECA DE AULAS E BANCO DE QUESTÕES)
+const library = createLibrary({ dir: process.env.LIBRARY_DIR || "data/library" });
 
 // ==========================
 // Função auxiliar: fileToGenerativePart
@@ -49,141 +157,573 @@ function fileToGenerativePart(path, mimeType) {
 }
 
 // ==========================
-// Função: getModel (Usa o 2.0-flash como PADRÃO)
+// Função: getModel (modelo do provedor configurado)
 // ==========================
 function getModel() {
     try {
-        // Usando o modelo que sabemos que sua chave API suporta
-        return genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+        return aiProvider.getModel();
     } catch (err) {
-        console.error("[ERRO FATAL] Não foi possível carregar o modelo 'gemini-2.0-flash'.", err.message);
+        console.error(`[ERRO FATAL] Não foi possível carregar o modelo '${aiProvider.modelName}'.`, err.message);
         throw new Error("Não foi possível carregar o modelo de IA.");
     }
 }
 
 
 // ==========================================================
-// 1️⃣ ENDPOINT DE TRANSCRIÇÃO (Atualizado)
+// 1️⃣ TRANSCRIÇÃO EM PARTES (com checkpoint por parte)
 // ==========================================================
-app.post("/transcribe-chunked", upload.single("audio"), (req, res) => {
+// O estado de cada parte fica salvo em job.chunks ({ file, status, text, error }),
+// então uma nova tentativa só retranscreve as partes que falharam ou faltaram.
+// Os arquivos temporários só são apagados quando todas as partes deram certo.
+// As partes têm cerca de CHUNK_SETTINGS.target segundos e são cortadas na pausa
+// mais próxima (job.chunks[i].start/end); o modelo devolve marcações [MM:SS]
+// relativas ao início da parte, convertidas em segmentos com tempo absoluto.
+const CHUNK_SETTINGS = {
+  target: Number(process.env.CHUNK_SECONDS || 120),
+  window: Number(process.env.CHUNK_SILENCE_WINDOW || 15),
+  overlap: Number(process.env.CHUNK_OVERLAP_SECONDS || 0),
+  noiseDb: Number(process.env.SILENCE_NOISE_DB || -30),
+  minSilence: Number(process.env.SILENCE_MIN_SECONDS || 0.5),
+};
+
+// Transcrições com mais de SUMMARY_SETTINGS.maxChars caracteres são resumidas
+// por blocos e depois juntadas (ver services/summary.js). O estilo do resumo
+// vem em options.summaryStyle.
+const SUMMARY_SETTINGS = {
+  maxChars: Number(process.env.SUMMARY_CHUNK_CHARS || 12000),
+};
+
+// Trabalhos antigos não guardam os limites de cada parte (cortes fixos de 120 s)
+function limitesDaParte(chunk, i) {
+  const start = chunk.start ?? i * 120;
+  return { start, end: chunk.end ?? start + 120 };
+}
+
+// Comandos de voz (ditado): com options.voiceCommands, a transcrição passa
+// pelas regras de services/voiceCommands.js. VOICE_COMMANDS_FILE (JSON) troca
+// as regras padrão. Sem a opção, vale só a regra antiga de "pergunta ... ponto".
+function carregarRegrasDeVoz() {
+  const file = process.env.VOICE_COMMANDS_FILE;
+  if (!file) return DEFAULT_VOICE_RULES;
+  const rules = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errors = validarRegras(rules);
+  if (errors.length > 0) throw new Error(`Regras de comandos de voz inválidas em ${file}: ${errors.join(" ")}`);
+  console.log(`[VOZ] ${rules.length} regras de comandos de voz carregadas de ${file}.`);
+  return rules;
+}
+const VOICE_RULES = carregarRegrasDeVoz();
+
+// `voiceCommands` é false, true (regras do servidor) ou a lista de regras do
+// pedido, que nunca aplica `regex` (só o arquivo do servidor pode tê-las)
+function formatarTranscricao(text, options) {
+  if (!options.voiceCommands) return aplicarComandosDeVoz(text, LEGACY_VOICE_RULES);
+  if (!Array.isArray(options.voiceCommands)) return aplicarComandosDeVoz(text, VOICE_RULES);
+  return aplicarComandosDeVoz(text, options.voiceCommands.filter(rule => rule.action !== "regex"));
+}
+
+// Campos de formulário multipart chegam como texto ("true", "1", "on"...)
+function lerBooleano(value) {
+  return ["true", "1", "on", "sim"].includes(String(value ?? "").toLowerCase());
+}
+
+// Com identificação de falantes, cada parte recebe os rótulos já usados e as
+// últimas falas da parte anterior, para manter os mesmos nomes entre partes.
+// Com `language`, o prompt indica o idioma falado (ou pede que seja detectado).
+function montarPromptTranscricao(options, chunks, index) {
+  let prompt = `Transcreva o áudio a seguir na íntegra, sem comentários.
+      Escreva uma frase por linha, começando cada linha com o tempo de início no formato [MM:SS],
+      contado a partir do início deste áudio. Exemplo:
+      [00:00] Primeira frase.
+      [00:07] Segunda frase.${instrucaoDeIdioma(options.language)}`;
+  if (!options.diarize) return prompt;
+
+  const knownSpeakers = [...new Set(chunks
+    .slice(0, index)
+    .flatMap(c => c.segments || [])
+    .map(seg => seg.speaker)
+    .filter(Boolean))];
+  const previousTail = (chunks[index - 1]?.segments || [])
+    .slice(-3)
+    .map(seg => `${seg.speaker || "?"}: ${seg.text}`)
+    .join("\n");
+
+  prompt = `Transcreva o áudio a seguir (gravação de uma aula) na íntegra, sem comentários.
+      Identifique quem fala em cada frase. Use "Professor" para quem conduz a aula e
+      "Aluno 1", "Aluno 2", ... para os estudantes, mantendo o mesmo rótulo para a mesma voz.
+      Escreva uma frase por linha no formato [MM:SS] Falante: frase, com o tempo contado
+      a partir do início deste áudio. Exemplo:
+      [00:00] Professor: Hoje vamos falar de frações.
+      [00:06] Aluno 1: Professor, pode repetir?${instrucaoDeIdioma(options.language)}`;
+  if (knownSpeakers.length > 0) {
+    prompt += `\n      Falantes já identificados nos trechos anteriores: ${knownSpeakers.join(", ")}. Reutilize esses rótulos.`;
+  }
+  if (previousTail) {
+    prompt += `\n      Final do trecho anterior, para referência:\n"""${previousTail}"""`;
+  }
+  return prompt;
+}
+
+// Etapa de resumo ou tradução. Na primeira execução ela é o status do job; num
+// trabalho já concluído (novo resumo, nova tradução) fica em `updating` e o
+// status continua "completed", para a transcrição seguir exportável.
+function marcarEtapa(jobId, etapa) {
+  const { status } = jobStore.get(jobId);
+  jobStore.update(jobId, status === "completed" ? { updating: etapa } : { status: etapa });
+}
+
+// Devolve { summary, notes }. `notes` (anotações por bloco) pode ser
+// reaproveitado para gerar outro estilo; em caso de erro, o resumo vira o
+// aviso e `error` traz a mensagem.
+// O resumo sai no idioma da aula (job.language), quando ele é conhecido.
+async function resumirTranscricao(jobId, text, options, notes = null) {
+  const style = options.summaryStyle || DEFAULT_SUMMARY_STYLE;
+  const { language } = jobStore.get(jobId);
+  try {
+    marcarEtapa(jobId, "summarizing");
+    const model = getModel();
+    const gerar = prompt => aiQueue.run(async () => (await model.generateContent(prompt)).response.text());
+    if (!notes) {
+      notes = await anotarTranscricao(text, {
+        gerar,
+        maxChars: SUMMARY_SETTINGS.maxChars,
+        diarize: options.diarize,
+        onProgress: ({ level, blocks }) => console.log(`[JOB ${jobId}] Resumo por blocos (nível ${level}): ${blocks} blocos...`),
+      });
+    }
+    console.log(`[JOB ${jobId}] Gerando ${SUMMARY_STYLES[style]}...`);
+    const summary = await gerarResumo(text, notes, {
+      gerar,
+      style,
+      diarize: options.diarize,
+      languageName: language ? nomeDoIdioma(language) : null,
+    });
+    console.log(`[JOB ${jobId}] Resumo gerado com sucesso.`);
+    return { summary, notes };
+  } catch (error) {
+    console.error(`[JOB ${jobId}] Erro ao gerar resumo:`, error);
+    return { summary: "[Erro ao gerar resumo automático]", notes, error: error.message };
+  }
+}
+
+// Traduz os segmentos (mantendo os tempos) e o resumo para `target`. Devolve
+// os campos do job; se a tradução falhar, a transcrição continua concluída e
+// o job recebe `translationError`.
+async function traduzirTranscricao(jobId, { segments, summary }, target, source) {
+  try {
+    marcarEtapa(jobId, "translating");
+    console.log(`[JOB ${jobId}] Traduzindo para ${nomeDoIdioma(target)}...`);
+    const model = getModel();
+    const gerar = prompt => aiQueue.run(async () => (await model.generateContent(prompt)).response.text());
+    const [translatedSegments, translatedSummary] = await Promise.all([
+      traduzirSegmentos(segments, { gerar, target, source, maxChars: SUMMARY_SETTINGS.maxChars }),
+      traduzirTexto(summary, { gerar, target }),
+    ]);
+    const untranslated = translatedSegments.filter(seg => seg.untranslated).length;
+    if (untranslated > 0) console.log(`[JOB ${jobId}] ${untranslated} frases ficaram sem tradução.`);
+    console.log(`[JOB ${jobId}] Tradução concluída.`);
+    return {
+      translatedTo: target,
+      translatedSegments,
+      translatedTranscription: segmentsToText(translatedSegments),
+      translatedSummary,
+      translationError: undefined,
+    };
+  } catch (error) {
+    console.error(`[JOB ${jobId}] Erro ao traduzir:`, error);
+    return { translationError: `Erro ao traduzir para ${nomeDoIdioma(target)}: ${error.message}` };
+  }
+}
+
+function limparArquivosTranscricao(jobId, job) {
+  try {
+    if (job.outputDir && fs.existsSync(job.outputDir)) fs.rmSync(job.outputDir, { recursive: true, force: true });
+    if (job.filePath && fs.existsSync(job.filePath)) fs.unlinkSync(job.filePath);
+  } catch(e) { console.error(`[JOB ${jobId}] Erro ao limpar arquivos: ${e.message}`); }
+}
+
+// Transcreve chunks[i] (atualiza o item e o job). As partes da gravação ao
+// vivo trazem `overlap: 0`; as do upload usam CHUNK_SETTINGS.overlap.
+async function transcreverParte(jobId, model, chunks, i) {
+  const { options = {}, outputDir } = jobStore.get(jobId);
+  const chunkPath = `${outputDir}/${chunks[i].file}`;
+  try {
+    console.log(`[JOB ${jobId}] Transcrevendo ${chunks[i].file}...`);
+    const audioPart = fileToGenerativePart(chunkPath, "audio/mp3");
+    if (!audioPart) throw new Error(`Arquivo da parte ${i + 1} não encontrado.`);
+
+    const prompt = montarPromptTranscricao(options, chunks, i);
+    const result = await model.generateContent([prompt, audioPart]);
+    const { start, end } = limitesDaParte(chunks[i], i);
+    const duration = limitesDaParte(chunks[chunks.length - 1], chunks.length - 1).end;
+    const overlap = chunks[i].overlap ?? (chunks[i].start !== undefined ? CHUNK_SETTINGS.overlap : 0);
+    const fileLength = Math.min(end + overlap, duration) - start;
+    // Com detecção automática, a primeira linha da resposta traz o idioma da parte
+    const { language, text: responseText } = options.language === AUTO_LANGUAGE
+      ? extrairIdiomaDetectado(result.response.text())
+      : { language: undefined, text: result.response.text() };
+    const segments = parseTimestampedText(responseText, start, fileLength, { speakers: options.diarize });
+    const text = segmentsToText(segments);
+    chunks[i] = { ...chunks[i], status: "done", text, segments, ...(language ? { language } : {}), error: undefined };
+    jobStore.emit(jobId, "chunk", { index: i, status: "done", text, segments });
+  } catch (error) {
+    console.error(`[JOB ${jobId}] Erro no chunk ${i + 1}:`, error.message);
+    chunks[i] = { ...chunks[i], status: "failed", error: error.message };
+    jobStore.emit(jobId, "chunk", { index: i, status: "failed", error: error.message });
+  }
+  const done = chunks.filter(c => c.status === "done").length;
+  jobStore.update(jobId, { chunks, progress: (done / chunks.length) * 100 });
+  return chunks[i];
+}
+
+async function transcreverAudio(jobId) {
+  const { filePath, outputDir, options = {} } = jobStore.get(jobId);
+  let { chunks } = jobStore.get(jobId);
+
+  if (!chunks) {
+    const preparedPath = `${outputDir}/preparado.mp3`;
+    try {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+      fs.mkdirSync(outputDir, { recursive: true });
+      jobStore.update(jobId, { status: "preparing", progress: 0 });
+      console.log(`[JOB ${jobId}] Extraindo e normalizando o áudio...`);
+      await prepararAudio(filePath, preparedPath, MEDIA_SETTINGS);
+    } catch (err) {
+      console.error(`[JOB ${jobId}] [FFmpeg] ERRO:`, err.message);
+      jobStore.update(jobId, { status: "failed", error: "Erro ao preparar o áudio (extração/normalização)." });
+      limparArquivosTranscricao(jobId, jobStore.get(jobId));
+      return;
+    }
+
+    try {
+      jobStore.update(jobId, { status: "splitting" });
+      console.log(`[JOB ${jobId}] Dividindo o áudio nas pausas com FFmpeg...`);
+      chunks = (await dividirNasPausas(preparedPath, outputDir, CHUNK_SETTINGS))
+        .map(chunk => ({ ...chunk, status: "pending" }));
+      fs.rmSync(preparedPath, { force: true });
+    } catch (err) {
+      console.error(`[JOB ${jobId}] [FFmpeg] ERRO:`, err.message);
+      jobStore.update(jobId, { status: "failed", error: "Erro ao dividir o áudio." });
+      limparArquivosTranscricao(jobId, jobStore.get(jobId));
+      return;
+    }
+    console.log(`[JOB ${jobId}] Divisão concluída: ${chunks.map(c => `${c.start.toFixed(1)}s`).join(", ")}.`);
+    jobStore.update(jobId, { chunks });
+    // O original não é mais necessário: novas tentativas usam as partes
+    try { fs.unlinkSync(filePath); } catch(e) { console.error(`[JOB ${jobId}] Erro ao remover original: ${e.message}`); }
+  }
+
+  console.log(`[JOB ${jobId}] ${chunks.length} partes encontradas.`);
+  jobStore.update(jobId, { status: "processing", error: undefined });
+
+  let model;
+  try {
+    model = getModel();
+  } catch (modelError) {
+    console.error(`[JOB ${jobId}] Falha fatal:`, modelError.message);
+    jobStore.update(jobId, { status: "failed", error: modelError.message });
+    return;
+  }
+
+  const pendentes = chunks.map((_, i) => i).filter(i => chunks[i].status !== "done");
+  if (options.diarize) {
+    // A identificação de falantes usa a parte anterior como contexto: uma por vez
+    for (const i of pendentes) await aiQueue.run(() => transcreverParte(jobId, model, chunks, i));
+  } else {
+    await Promise.all(pendentes.map(i => aiQueue.run(() => transcreverParte(jobId, model, chunks, i))));
+  }
+
+  await finalizarTranscricao(jobId, chunks);
+}
+
+// Junta as partes transcritas, aplica a formatação, gera o resumo e conclui o
+// job. Usada pelo upload e pela transcrição ao vivo.
+async function finalizarTranscricao(jobId, chunks) {
+  const { options = {} } = jobStore.get(jobId);
+  const failedChunks = chunks.map((c, i) => (c.status === "done" ? null : i + 1)).filter(n => n !== null);
+  console.log(`[JOB ${jobId}] Transcrição completa${failedChunks.length ? ` (${failedChunks.length} partes com erro)` : ""}.`);
+
+  // Junta as partes, descartando o texto repetido na sobreposição com a parte anterior
+  const partes = chunks.map((c, i) => {
+    const { start, end } = limitesDaParte(c, i);
+    if (c.status !== "done") {
+      return [{ start, end, text: `[ERRO NA TRANSCRIÇÃO DO TRECHO ${i + 1}]` }];
+    }
+    const chunkSegments = c.segments || [{ start, end, text: c.text }];
+    const previous = chunks[i - 1];
+    return previous?.status === "done" && (c.overlap ?? CHUNK_SETTINGS.overlap) > 0
+      ? removerSobreposicao(previous.text, chunkSegments)
+      : chunkSegments;
+  });
+  const fullText = partes.map(segmentsToText).join(options.diarize ? "\n" : " ");
+  console.log(`[JOB ${jobId}] Aplicando ${options.voiceCommands ? "comandos de voz" : "formatação das perguntas"}...`);
+  const formattedText = formatarTranscricao(fullText, options);
+  // Nos segmentos cada frase é formatada sozinha (listas e títulos não continuam entre frases)
+  const segments = partes.flat().map(seg => ({ ...seg, text: formatarTranscricao(seg.text, options) }));
+  const speakers = [...new Set(segments.map(seg => seg.speaker).filter(Boolean))];
+
+  // Idioma da aula: o escolhido no envio ou o mais detectado entre as partes
+  const language = options.language === AUTO_LANGUAGE
+    ? idiomaPredominante(chunks.map(c => c.language))
+    : options.language || null;
+  if (options.language === AUTO_LANGUAGE) {
+    console.log(`[JOB ${jobId}] Idioma detectado: ${language ? nomeDoIdioma(language) : "não identificado"}.`);
+  }
+  jobStore.update(jobId, { language });
+
+  const { summary: summaryText, notes: summaryNotes } = await resumirTranscricao(jobId, formattedText, options);
+  const translation = options.translateTo
+    ? await traduzirTranscricao(jobId, { segments, summary: summaryText }, options.translateTo, language)
+    : {};
+
+  jobStore.update(jobId, {
+    status: "completed",
+    transcription: formattedText,
+    segments,
+    ...(options.diarize ? { speakers } : {}),
+    summary: summaryText,
+    summaryStyle: options.summaryStyle || DEFAULT_SUMMARY_STYLE,
+    summaryNotes,
+    ...translation,
+    failedChunks,
+    progress: 100,
+  });
+
+  if (failedChunks.length === 0) {
+    console.log(`[JOB ${jobId}] Limpando arquivos temporários.`);
+    limparArquivosTranscricao(jobId, jobStore.get(jobId));
+  } else {
+    console.log(`[JOB ${jobId}] Partes com erro: ${failedChunks.join(", ")}. Use POST /jobs/${jobId}/retry para tentar novamente.`);
+  }
+}
+
+// Opções do trabalho de transcrição, vindas do formulário do upload ou da URL
+// da sessão ao vivo. Lança erro (com `details`, se houver) quando são inválidas.
+function lerOpcoesDeTranscricao(fields) {
+  const summaryStyle = fields.summaryStyle || DEFAULT_SUMMARY_STYLE;
+  if (!estiloValido(summaryStyle)) {
+    throw new Error(`Estilo de resumo inválido. Use: ${Object.keys(SUMMARY_STYLES).join(", ")}.`);
+  }
+  // "true" usa as regras do servidor; um JSON com a lista de regras vale só para este trabalho
+  let voiceCommands = lerBooleano(fields.voiceCommands);
+  if (String(fields.voiceCommands || "").trim().startsWith("[")) {
+    try {
+      voiceCommands = JSON.parse(fields.voiceCommands);
+    } catch (e) {
+      throw new Error("O campo 'voiceCommands' não é um JSON válido.");
+    }
+    const errors = validarRegras(voiceCommands, { allowRegex: false });
+    if (errors.length > 0) throw Object.assign(new Error("Regras de comandos de voz inválidas."), { details: errors });
+  }
+  // Sem "language", os prompts não indicam idioma (comportamento anterior)
+  const language = validarIdioma(fields.language, { field: "language", allowAuto: true });
+  const translateTo = validarIdioma(fields.translateTo, { field: "translateTo" });
+  return { diarize: lerBooleano(fields.diarize), summaryStyle, voiceCommands, language, translateTo };
+}
+
+app.post("/transcribe-chunked", upload.single("audio"), async (req, res) => {
   if (!req.file) {
     console.error("[ERRO] Nenhum arquivo recebido.");
     return res.status(400).json({ error: "Nenhum arquivo de áudio enviado." });
   }
 
-  const jobId = uuidv4();
   const filePath = req.file.path;
+  let media;
+  try {
+    media = await validarMidia(filePath, MEDIA_SETTINGS);
+  } catch (error) {
+    console.error(`[ERRO] Arquivo rejeitado (${req.file.originalname}): ${error.message}`);
+    fs.rmSync(filePath, { force: true });
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  let options;
+  try {
+    options = lerOpcoesDeTranscricao(req.body);
+  } catch (error) {
+    fs.rmSync(filePath, { force: true });
+    return res.status(400).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+  }
+  if (!consumirCota(req, res, "audioMinutes", Math.ceil(media.duration / 60))) {
+    fs.rmSync(filePath, { force: true });
+    return;
+  }
+
+  const jobId = uuidv4();
   const outputDir = `uploads/${jobId}`;
 
-  console.log(`[JOB ${jobId}] Iniciado. Arquivo: ${filePath}`);
+  console.log(`[JOB ${jobId}] Iniciado. Arquivo: ${filePath} (${media.format}, ${Math.round(media.duration)}s${media.hasVideo ? ", vídeo" : ""})`);
+
+  jobStore.set(jobId, { type: "transcription", owner: req.user.id, status: "preparing", progress: 0, filePath, outputDir, options, media });
+  res.status(202).json({ jobId });
+
+  transcreverAudio(jobId);
+});
+
+// ==========================================================
+// 🔁 ENDPOINT: NOVA TENTATIVA DE TRANSCRIÇÃO
+// ==========================================================
+app.post("/jobs/:jobId/retry", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobStore.get(jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
+    return res.status(404).json({ error: "Trabalho não encontrado." });
+  }
+  if (job.type !== "transcription") {
+    return res.status(400).json({ error: "Apenas trabalhos de transcrição podem ser retomados." });
+  }
+  if (!["completed", "failed"].includes(job.status) || job.updating) {
+    return res.status(409).json({ error: "O trabalho ainda está em andamento." });
+  }
 
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  const pending = job.chunks
+    ? job.chunks.filter(c => c.status !== "done")
+    : [];
+  // Com todas as partes prontas, um job que falhou depois (na junção, no resumo
+  // ou num reinício do servidor) só refaz a junção e o resumo
+  if (job.chunks && pending.length === 0 && job.status !== "failed") {
+    return res.status(409).json({ error: "Todas as partes já foram transcritas." });
+  }
+  const arquivosDisponiveis = job.chunks
+    ? pending.every(c => fs.existsSync(`${job.outputDir}/${c.file}`))
+    : fs.existsSync(job.filePath);
+  if (!arquivosDisponiveis) {
+    return res.status(410).json({ error: "Os arquivos de áudio deste trabalho não estão mais disponíveis." });
   }
 
+  const etapa = !job.chunks ? "divisão do áudio" : pending.length > 0 ? `${pending.length} partes pendentes` : "junção e resumo";
+  console.log(`[JOB ${jobId}] Nova tentativa: ${etapa}.`);
+  jobStore.update(jobId, { status: job.chunks ? "processing" : "preparing", error: undefined });
   res.status(202).json({ jobId });
 
-  jobs[jobId] = { status: "splitting", progress: 0 };
-
-  console.log(`[JOB ${jobId}] Dividindo o áudio com FFmpeg...`);
-
-  ffmpeg(filePath)
-    .outputOptions([
-      "-f segment",
-      "-segment_time 120",
-      "-acodec libmp3lame",
-      "-ab 128k",
-      "-ar 44100"
-    ])
-    .output(`${outputDir}/chunk_%03d.mp3`)
-    .on("end", async () => {
-      console.log(`[JOB ${jobId}] Divisão concluída.`);
-      jobs[jobId].status = "processing";
-      const chunkFiles = fs.readdirSync(outputDir).sort();
-      console.log(`[JOB ${jobId}] ${chunkFiles.length} partes encontradas.`);
-
-      let fullTranscription = [];
-      let model;
-      try {
-        model = getModel(); // <-- Usa o 2.0-flash
-      } catch (modelError) {
-        console.error(`[JOB ${jobId}] Falha fatal:`, modelError.message);
-        jobs[jobId] = { status: "failed", error: modelError.message };
-        return; 
-      }
+  transcreverAudio(jobId);
+});
 
-      for (let i = 0; i < chunkFiles.length; i++) {
-        const chunkPath = `${outputDir}/${chunkFiles[i]}`;
-        try {
-          console.log(`[JOB ${jobId}] Transcrevendo ${chunkFiles[i]}...`);
-          const audioPart = fileToGenerativePart(chunkPath, "audio/mp3");
-          if (!audioPart) continue; 
-          
-          const prompt = "Transcreva o áudio a seguir na íntegra, sem comentários.";
-          const result = await model.generateContent([prompt, audioPart]);
-          const text = result.response.text();
-          fullTranscription.push(text);
-          jobs[jobId].progress = ((i + 1) / chunkFiles.length) * 100;
-          await new Promise(res => setTimeout(res, 2000));
-        } catch (error) {
-          console.error(`[JOB ${jobId}] Erro no chunk ${i + 1}:`, error.message);
-          fullTranscription.push(`[ERRO NA TRANSCRIÇÃO DO TRECHO ${i + 1}]`);
-        }
-      }
+// ==========================================================
+// 🔁 ENDPOINT: NOVO RESUMO EM OUTRO ESTILO
+// ==========================================================
+// Reaproveita as anotações por bloco guardadas no job, sem transcrever de novo.
+app.post("/jobs/:jobId/summary", async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobStore.get(jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
+    return res.status(404).json({ error: "Trabalho não encontrado." });
+  }
+  if (job.type !== "transcription") {
+    return res.status(400).json({ error: "Apenas trabalhos de transcrição têm resumo." });
+  }
+  if (job.status !== "completed") {
+    return res.status(409).json({ error: "A transcrição ainda não foi concluída." });
+  }
+  if (job.updating) {
+    return res.status(409).json({ error: "Já há um novo resumo ou uma tradução em andamento neste trabalho." });
+  }
+  const style = req.body.style || DEFAULT_SUMMARY_STYLE;
+  if (!estiloValido(style)) {
+    return res.status(400).json({ error: `Estilo de resumo inválido. Use: ${Object.keys(SUMMARY_STYLES).join(", ")}.` });
+  }
 
-      console.log(`[JOB ${jobId}] Transcrição completa.`);
-      const fullText = fullTranscription.join(" ");
-      console.log(`[JOB ${jobId}] Formatando perguntas...`);
-      const regex = /(pergunta)(\s+)(.*?)(\s+)(ponto)/gi;
-      const replacement = '$1$2($3)$4$5';
-      const formattedText = fullText.replace(regex, replacement);
+  const options = { ...job.options, summaryStyle: style };
+  res.status(202).json({ jobId });
 
-      try {
-        jobs[jobId].status = "summarizing";
-        console.log(`[JOB ${jobId}] Gerando resumo em tópicos...`);
-        const summaryPrompt = `
-        Gere um resumo **em tópicos** (marcados com "•") a partir do texto abaixo.
-        O resumo deve conter as ideias principais, sem repetir frases.
-        Não diga que precisa do texto, apenas gere o resumo.
-        
-        Texto:
-        """${formattedText}""" 
-        `;
-        const summaryModel = getModel(); // <-- Usa o 2.0-flash
-        const summaryResult = await summaryModel.generateContent(summaryPrompt);
-        const summaryText = summaryResult.response.text();
-        jobs[jobId] = {
-          status: "completed",
-          transcription: formattedText,
-          summary: summaryText,
-          progress: 100,
-        };
-        console.log(`[JOB ${jobId}] Resumo gerado com sucesso.`);
-      } catch (error) {
-        console.error(`[JOB ${jobId}] Erro ao gerar resumo:`, error);
-        jobs[jobId] = {
-          status: "completed",
-          transcription: formattedText,
-          summary: "[Erro ao gerar resumo automático]",
-          progress: 100,
-        };
-      }
+  const { summary, notes, error } = await resumirTranscricao(jobId, job.transcription, options, job.summaryNotes);
+  // Se falhar, o resumo anterior continua valendo
+  if (error) {
+    jobStore.update(jobId, { updating: undefined, summaryNotes: notes, summaryError: `Erro ao gerar o resumo em ${SUMMARY_STYLES[style]}: ${error}` });
+    return;
+  }
+  // Com tradução, o resumo traduzido acompanha o novo estilo
+  let translatedSummary = job.translatedSummary;
+  if (job.translatedTo) {
+    try {
+      marcarEtapa(jobId, "translating");
+      const model = getModel();
+      const gerar = prompt => aiQueue.run(async () => (await model.generateContent(prompt)).response.text());
+      translatedSummary = await traduzirTexto(summary, { gerar, target: job.translatedTo });
+    } catch (error) {
+      console.error(`[JOB ${jobId}] Erro ao traduzir o resumo:`, error);
+      translatedSummary = `[Erro ao traduzir o resumo para ${nomeDoIdioma(job.translatedTo)}]`;
+    }
+  }
+  jobStore.update(jobId, { updating: undefined, options, summary, summaryStyle: style, summaryNotes: notes, summaryError: undefined, translatedSummary });
+});
 
-      console.log(`[JOB ${jobId}] Limpando arquivos temporários.`);
-      try {
-        fs.rmSync(outputDir, { recursive: true, force: true });
-        fs.unlinkSync(filePath);
-      } catch(e) { console.error(`[JOB ${jobId}] Erro ao limpar arquivos: ${e.message}`); }
-    })
-    .on("error", (err) => {
-      console.error(`[JOB ${jobId}] [FFmpeg] ERRO:`, err.message);
-      jobs[jobId] = { status: "failed", error: "Erro ao dividir o áudio." };
-      try {
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-        if (fs.existsSync(outputDir)) fs.rmSync(outputDir, { recursive: true, force: true });
-      } catch(e) { console.error(`[JOB ${jobId}] Erro ao limpar arquivos pós-falha: ${e.message}`); }
-    })
-    .run();
+// ==========================================================
+// 🔁 ENDPOINT: TRADUZIR UMA TRANSCRIÇÃO CONCLUÍDA
+// ==========================================================
+// Para pedir (ou trocar) a tradução depois do envio; substitui a anterior.
+app.post("/jobs/:jobId/translation", async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobStore.get(jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
+    return res.status(404).json({ error: "Trabalho não encontrado." });
+  }
+  if (job.type !== "transcription") {
+    return res.status(400).json({ error: "Apenas trabalhos de transcrição podem ser traduzidos." });
+  }
+  if (job.status !== "completed" || !job.segments) {
+    return res.status(409).json({ error: "A transcrição ainda não foi concluída." });
+  }
+  if (job.updating) {
+    return res.status(409).json({ error: "Já há um novo resumo ou uma tradução em andamento neste trabalho." });
+  }
+  let target;
+  try {
+    target = validarIdioma(req.body.to, { field: "to" });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!target) {
+    return res.status(400).json({ error: "Informe o idioma da tradução em \"to\"." });
+  }
+
+  const options = { ...job.options, translateTo: target };
+  res.status(202).json({ jobId });
+
+  const translation = await traduzirTranscricao(jobId, { segments: job.segments, summary: job.summary }, target, job.language);
+  jobStore.update(jobId, { updating: undefined, options, ...translation });
+});
+
+// ==========================================================
+// 📝 ENDPOINT: EXPORTAR TRANSCRIÇÃO (srt | vtt | txt | json)
+// ==========================================================
+const EXPORT_FORMATS = {
+  srt: { contentType: "application/x-subrip", render: job => toSrt(job.segments) },
+  vtt: { contentType: "text/vtt", render: job => toVtt(job.segments) },
+  txt: { contentType: "text/plain", render: job => toTxt(job.segments) },
+  json: {
+    contentType: "application/json",
+    render: job => JSON.stringify({ transcription: job.transcription, summary: job.summary, segments: job.segments }, null, 2),
+  },
+};
+
+// Com ?translated=true, exporta a tradução (mesmos tempos da transcrição)
+app.get("/jobs/:jobId/export", (req, res) => {
+  const { jobId } = req.params;
+  const format = String(req.query.format || "srt").toLowerCase();
+  const translated = lerBooleano(req.query.translated);
+  const job = jobStore.get(jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
+    return res.status(404).json({ error: "Trabalho não encontrado." });
+  }
+  if (job.type !== "transcription" || job.status !== "completed" || !job.segments) {
+    return res.status(409).json({ error: "A transcrição deste trabalho ainda não está disponível." });
+  }
+  const exporter = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!exporter) {
+    return res.status(400).json({ error: `Formato inválido. Use: ${Object.keys(EXPORT_FORMATS).join(", ")}.` });
+  }
+
+  if (translated && !job.translatedSegments) {
+    return res.status(409).json({ error: "Este trabalho não tem tradução. Use POST /jobs/:jobId/translation." });
+  }
+
+  const content = translated
+    ? { transcription: job.translatedTranscription, summary: job.translatedSummary, segments: job.translatedSegments }
+    : job;
+  const suffix = translated ? `-${job.translatedTo}` : "";
+  res.set("Content-Type", `${exporter.contentType}; charset=utf-8`);
+  res.set("Content-Disposition", `attachment; filename="transcricao-${jobId}${suffix}.${format}"`);
+  res.send(exporter.render(content));
 });
 
 // ==========================================================
@@ -191,65 +731,138 @@ app.post("/transcribe-chunked", upload.single("audio"), (req, res) => {
 // ==========================================================
 app.get("/status/:jobId", (req, res) => {
   const { jobId } = req.params;
-  const job = jobs[jobId];
-  if (!job) {
+  const job = jobStore.get(jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
     return res.status(404).json({ error: "Trabalho não encontrado." });
   }
   res.json(job);
 });
 
+// ==========================================================
+// 📡 ENDPOINT: EVENTOS EM TEMPO REAL (Server-Sent Events)
+// ==========================================================
+// Eventos enviados:
+//   status    -> { status, progress, message, error } a cada mudança
+//   chunk     -> parte transcrita (ou com erro) { index, status, text, segments }
+//   grade     -> resultado de um aluno assim que é corrigido
+//   done      -> job completo, quando termina (a conexão é encerrada em seguida)
+function resumoStatus(job) {
+  return { status: job.status, progress: job.progress, message: job.message, error: job.error };
+}
+
+app.get("/jobs/:jobId/events", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobStore.get(jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
+    return res.status(404).json({ error: "Trabalho não encontrado." });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const finished = j => ["completed", "failed"].includes(j.status);
+
+  send("status", resumoStatus(job));
+  if (finished(job)) {
+    send("done", job);
+    return res.end();
+  }
+
+  let lastStatus = JSON.stringify(resumoStatus(job));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+  const unsubscribe = jobStore.subscribe(jobId, (event, data) => {
+    if (event !== "update") return send(event, data);
+
+    const status = JSON.stringify(resumoStatus(data));
+    if (status !== lastStatus) {
+      lastStatus = status;
+      send("status", resumoStatus(data));
+    }
+    if (finished(data)) {
+      send("done", data);
+      stop();
+      res.end();
+    }
+  });
+
+  function stop() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  res.on("close", stop);
+});
+
 // ==========================================================
 // 3️⃣ ENDPOINT: GERADOR DE ATIVIDADES
 // ==========================================================
+const ACTIVITY_MAX_ATTEMPTS = Number(process.env.ACTIVITY_MAX_ATTEMPTS || 3);
+
+// Com `lessonId`, usa o resumo da aula salva no lugar de `summaryText`. As
+// questões geradas entram no banco de questões (`questionIds` na resposta).
 app.post("/generate-activity", async (req, res) => {
-    const { summaryText, options } = req.body;
+    const { lessonId, options } = req.body;
+    let { summaryText } = req.body;
+    if (lessonId) {
+        try {
+            summaryText = doUsuario(req.user, "aula", lessonId).summary;
+        } catch (error) {
+            return responderErroDaBiblioteca(res, error);
+        }
+    }
     if (!summaryText || !options) {
         return res.status(400).json({ error: "Dados insuficientes para gerar a atividade." });
     }
-    let prompt = `Com base no resumo: "${summaryText}".\nElabore uma atividade escolar no nível ${options.difficulty} seguindo as regras:\n`;
-    if (options.type === "dissertativa") {
-         prompt += `- Crie exatamente ${options.quantity} questões dissertativas.\n- As perguntas devem incentivar o pensamento crítico.`;
-         prompt += `\n- Não inclua respostas ou gabarito no final.`;
-     } else if (options.type === "objetiva") {
-         if (options.questionType === "verdadeiro ou falso") {
-             prompt += `- Crie EXATAMENTE ${options.quantity} questões independentes de Verdadeiro/Falso no formato de sequência.\n`;
-             prompt += `- Numere cada questão principal claramente (1., 2., 3., ... ${options.quantity}.).\n`;
-             prompt += `- PARA CADA UMA DESSAS ${options.quantity} QUESTÕES, faça o seguinte:\n`;
-             prompt += `    1. Crie 4 afirmações curtas sobre o texto (verdadeiras ou falsas).\n`;
-             prompt += `    2. Formate CADA afirmação iniciando com parênteses vazios: ( ). Exemplo: ( ) Afirmação X.\n`;
-             prompt += `    3. Após as 4 afirmações, inclua EXATAMENTE a frase: "Assinale a alternativa que apresenta a sequência correta, de cima para baixo:"\n`;
-             prompt += `    4. Crie 4 alternativas (A, B, C, D), cada uma contendo uma sequência de 4 V's e F's (Exemplo: A) V, F, V, F).\n`;
-             prompt += `    5. APENAS UMA dessas 4 alternativas (A, B, C, D) deve conter a sequência CORRETA de V/F baseada nas 4 afirmações que você criou para ESSA questão.\n`;
-             prompt += `- **IMPORTANTE: No final de TODO o texto da atividade (após a ${options.quantity}ª questão), adicione as respostas corretas (APENAS a letra da alternativa correta para CADA questão principal), em sequência, em uma linha separada, formatada EXATAMENTE assim: GABARITO:[LetraQ1,LetraQ2,...LetraQ${options.quantity}] (Exemplo para 3 questões: GABARITO:[B,A,D])**\n`;
-         } else {
-             prompt += `- Tipo de questão: "${options.questionType}".\n`;
-             prompt += `- Quantidade: Crie exatamente ${options.quantity} questões.\n`;
-             prompt += `- Numere cada questão claramente (1., 2., 3., ...).\n`;
-             prompt += `- Se o tipo for "múltipla escolha", forneça 4 alternativas (A, B, C, D) para cada questão.\n`;
-             prompt += `- **IMPORTANTE: No final de TUDO, adicione as respostas corretas em uma linha separada, formatada EXATAMENTE assim: GABARITO:[A,B,D,C,...] (uma letra para cada questão)**\n`;
-         }
-     }
-    
+    if (!["dissertativa", "objetiva"].includes(options.type)) {
+        return res.status(400).json({ error: 'O tipo da atividade deve ser "dissertativa" ou "objetiva".' });
+    }
+    const quantity = Number(options.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 50) {
+        return res.status(400).json({ error: "A quantidade de questões deve ser um número inteiro entre 1 e 50." });
+    }
+
+    // A cota só é descontada quando a atividade sai válida
+    if (!consumirCota(req, res, "activities", 1, { registrar: false })) return;
+
+    const basePrompt = buildActivityPrompt(summaryText, { ...options, quantity });
     console.log(`[JOB ATIVIDADE] Gerando atividade do tipo "${options.type}" (${options.questionType || ''})...`);
     try {
-        const model = getModel(); // <-- Usa o 2.0-flash
-        const result = await model.generateContent(prompt);
-        const fullResponseText = result.response.text();
-        let activityText = fullResponseText;
-        let answers = []; 
-        const gabaritoMatch = fullResponseText.match(/GABARITO:\[(.*?)\]/i);
-        if (gabaritoMatch && gabaritoMatch[1]) {
-            activityText = fullResponseText.replace(/GABARITO:\[(.*?)\]/i, "").trim();
-            answers = gabaritoMatch[1].split(',').map(ans => ans.trim().toUpperCase()); 
-            console.log(`[JOB ATIVIDADE] Gabarito extraído com sucesso:`, answers);
-        } else {
-            if (options.type === "objetiva") {
-               console.warn("[JOB ATIVIDADE] Aviso: O formato do gabarito não foi encontrado na resposta da IA para questão objetiva.");
-            } else {
-               console.log("[JOB ATIVIDADE] Atividade dissertativa gerada sem gabarito (esperado).");
+        const model = getModel();
+        let prompt = basePrompt;
+        let errors = [];
+        for (let attempt = 1; attempt <= ACTIVITY_MAX_ATTEMPTS; attempt++) {
+            const result = await model.generateContent(prompt);
+            const fullResponseText = result.response.text();
+            let parsed;
+            try {
+                parsed = parseActivityResponse(fullResponseText);
+                errors = validarAtividade(parsed, { ...options, quantity });
+            } catch (e) {
+                errors = [`A resposta não é um JSON válido (${e.message}).`];
+            }
+
+            if (errors.length === 0) {
+                if (!consumirCota(req, res, "activities", 1)) return;
+                const activity = normalizarAtividade(parsed, options);
+                const activityText = renderizarAtividade(activity);
+                const answers = activity.questions.map(q => q.correct).filter(Boolean);
+                console.log(`[JOB ATIVIDADE] Atividade válida na tentativa ${attempt}. Gabarito:`, answers);
+                const saved = library.addQuestions(activity, { lessonId: lessonId || null, topic: options.topic }, req.user.id);
+                return res.json({ activityText, answers, activity, questionIds: saved.map(q => q.id) });
             }
+
+            console.warn(`[JOB ATIVIDADE] Tentativa ${attempt}/${ACTIVITY_MAX_ATTEMPTS} rejeitada:`, errors);
+            prompt = buildRetryPrompt(basePrompt, errors);
         }
-        res.json({ activityText, answers });
+
+        res.status(502).json({
+            error: `A IA não gerou uma atividade válida após ${ACTIVITY_MAX_ATTEMPTS} tentativas.`,
+            details: errors,
+        });
     } catch (error) {
         console.error("[JOB ATIVIDADE] Erro:", error.message);
         res.status(500).json({ error: "Ocorreu um erro na IA ao gerar a atividade." });
@@ -258,139 +871,313 @@ app.post("/generate-activity", async (req, res) => {
 
 
 // ==========================================================
-// 4️⃣ FUNÇÃO DE CORREÇÃO (MÚLTIPLA ESCOLHA) (Gabarito em Texto)
+// 🖨️ ENDPOINT: EXPORTAR ATIVIDADE (PDF / DOCX)
 // ==========================================================
-async function corrigirProvas(jobId, studentSheetFiles, gabaritoString) {
-  const job = jobs[jobId]; 
-  const tempFilePaths = []; 
-  studentSheetFiles.forEach(file => tempFilePaths.push(file.path));
-  const generationConfig = { temperature: 0.1 };
-  const results = [];
-
-  const gabaritoArray = gabaritoString.split(',').map(s => s.trim().toUpperCase());
-  const totalQuestoes = gabaritoArray.length;
-  const invalidDetails = gabaritoArray.map((_, i) => ({ "q": i + 1, "correct": false }));
+// Recebe o `activity` devolvido por /generate-activity e gera a prova, o
+// gabarito do professor ou a folha de respostas com bolhas.
+const DOCUMENT_NAMES = { activity: "atividade", answerKey: "gabarito", answerSheet: "folha-de-respostas" };
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+};
 
-  try {
-    // <<< MUDANÇA PRINCIPAL AQUI >>>
-    // Força o uso do modelo 2.0-flash SÓ para esta função
-    // (já que o 1.5-flash não está funcionando para você)
-    const model = getModel(); // <-- Usa o 2.0-flash
-    
-    const totalImagens = studentSheetFiles.length;
-    console.log(`[JOB ${jobId}] Iniciando correção de ${totalImagens} imagens com o gabarito: [${gabaritoString}]`);
+app.post("/activities/export", async (req, res) => {
+    const { activity, format = "pdf", document = "activity", title = "Atividade" } = req.body;
+    if (!activity || !Array.isArray(activity.questions)) {
+        return res.status(400).json({ error: 'Envie a atividade estruturada ("activity") gerada por /generate-activity.' });
+    }
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Formato inválido. Use: ${FORMATS.join(", ")}.` });
+    }
+    if (!DOCUMENTS.includes(document)) {
+        return res.status(400).json({ error: `Documento inválido. Use: ${DOCUMENTS.join(", ")}.` });
+    }
+    if (typeof title !== "string" || !title.trim()) {
+        return res.status(400).json({ error: 'O título ("title") deve ser um texto não vazio.' });
+    }
 
-    for (let i = 0; i < totalImagens; i++) {
-      const studentFile = studentSheetFiles[i];
-      const studentImagePart = fileToGenerativePart(studentFile.path, studentFile.mimetype);
-      if (!studentImagePart) continue;
-
-      const percent = Math.round(((i + 1) / totalImagens) * 95); 
-      job.progress = percent;
-      job.message = `Processando imagem ${i + 1} de ${totalImagens}... (${studentFile.originalname})`;
-      console.log(`[JOB ${jobId}] Progresso: ${percent}% - ${job.message}`);
-
-      // ESTE É O PROMPT CORRETO (MEIO-TERMO)
-      const singleImagePrompt = `
-        TASK: Grade a student's answer sheet image using a provided answer key.
-        INPUTS:
-        1.  ANSWER KEY (string array): ["${gabaritoArray.join('","')}"]
-        2.  IMAGE file: The student's filled-in answer sheet.
-        INSTRUCTIONS:
-        1.  **Parse Key:** The correct answers are in the ANSWER KEY array. The first item is for Q1, second for Q2, etc. Total questions = ${totalQuestoes}.
-        2.  **Check Invalidation:** Look at the IMAGE. Is there a large, distinct 'X' mark in RED?
-        3.  **Analyze Answers:** If NO red 'X', analyze the IMAGE to see which letter (A, B, C, D) the student marked for each question (1 to ${totalQuestoes}).
-        4.  **Handle Ambiguity:** If a student marked MORE THAN ONE option, or the mark is unreadable, count as INCORRECT.
-        5.  **Compare & Detail:** Compare the student's marks to the ANSWER KEY. Create a "details" list of true/false for each question.
-        OUTPUT FORMAT: Respond ONLY with a single, valid JSON object. Do not add markdown or any other text.
-        
-        **If a RED 'X' is found (Invalidated):**
-        {
-          "details": ${JSON.stringify(invalidDetails)},
-          "invalidated": true
+    const options = { type: activity.type, questionType: activity.questionType, quantity: activity.questions.length };
+    const errors = validarAtividade(activity, options);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "A atividade enviada é inválida.", details: errors });
+    }
+    if (document === "answerSheet") {
+        if (activity.type !== "objetiva") {
+            return res.status(400).json({ error: "A folha de respostas só existe para atividades objetivas." });
         }
-
-        **If NO red 'X' is found (Valid Test):**
-        {
-          "details": [
-            { "q": 1, "correct": true_ou_false },
-            { "q": 2, "correct": true_ou_false },
-            ... (uma entrada para cada uma das ${totalQuestoes} questões)
-          ],
-          "invalidated": false
+        if (format !== "pdf") {
+            return res.status(400).json({ error: "A folha de respostas só é gerada em PDF, para manter a posição exata das bolhas." });
         }
-      `;
-
-      try {
-        const result = await model.generateContent(
-          [singleImagePrompt, studentImagePart],
-          generationConfig
-        );
-        const fullResponseText = result.response.text();
-        let aiResponse;
-        try {
-            const cleanedText = fullResponseText.replace(/```json/g, '').replace(/```/g, '').trim();
-            aiResponse = JSON.parse(cleanedText);
-        } catch (e) {
-            console.error(`[JOB ${jobId}] Erro ao parsear JSON da IA para ${studentFile.originalname}:`, e.message);
-            console.error("Texto recebido da IA:", fullResponseText);
-            throw new Error(`A IA retornou um formato de JSON inválido para a imagem ${studentFile.originalname}.`);
+        if (activity.questions.length > MAX_QUESTIONS) {
+            return res.status(400).json({ error: `A folha de respostas comporta no máximo ${MAX_QUESTIONS} questões.` });
         }
+    }
 
-        if (aiResponse && aiResponse.details) {
-          const correctCount = aiResponse.details.filter(d => d.correct).length;
-          const gradeString = `${correctCount}/${totalQuestoes}`;
-          console.log(`[JOB ${jobId}] Nota para ${studentFile.originalname}: ${gradeString}`);
-          results.push({ 
-            fileName: studentFile.originalname || studentFile.filename, 
-            grade: gradeString,
-            details: aiResponse.details || [] 
-          });
-        } else {
-          throw new Error(`A IA não retornou um JSON com a propriedade 'details' para a imagem ${studentFile.originalname}.`);
-        }
-      } catch (imageError) {
-        console.error(`[JOB ${jobId}] Erro ao processar a imagem ${studentFile.originalname}:`, imageError.message);
-        results.push({ 
-          fileName: studentFile.originalname || studentFile.filename, 
-          grade: `0/${totalQuestoes}`,
-          details: invalidDetails
-        });
-      }
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    } 
+    try {
+        const normalized = normalizarAtividade(activity, options);
+        const buffer = format === "pdf"
+            ? await gerarPdf(normalized, document, { title })
+            : await gerarDocx(normalized, document, { title });
+        console.log(`[EXPORTAÇÃO] ${DOCUMENT_NAMES[document]}.${format} gerado (${normalized.questions.length} questões).`);
+        res.set("Content-Type", CONTENT_TYPES[format]);
+        res.set("Content-Disposition", `attachment; filename="${DOCUMENT_NAMES[document]}.${format}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error("[EXPORTAÇÃO] Erro:", error.message);
+        res.status(500).json({ error: "Ocorreu um erro ao gerar o documento." });
+    }
+});
 
-    console.log(`[JOB ${jobId}] Processamento de todas as imagens concluído.`);
-    const finalResultsPayload = { results: results }; 
-    job.status = "completed";
-    job.progress = 100;
-    job.message = "Correção concluída!";
-    job.results = finalResultsPayload;
+// ==========================================================
+// 4️⃣ FUNÇÃO DE CORREÇÃO (MÚLTIPLA ESCOLHA) (Gabarito em Texto)
+// ==========================================================
+// Folhas geradas por /activities/export são lidas localmente (OMR). Só vão
+// para a IA as imagens em que a leitura falhou (não é a folha do sistema) ou
+// ficou com confiança abaixo de OMR_MIN_CONFIDENCE em alguma questão.
+const OMR_SETTINGS = {
+  enabled: process.env.OMR_ENABLED !== "false",
+  minConfidence: Number(process.env.OMR_MIN_CONFIDENCE || 0.6),
+};
 
-  } catch (error) {
-    console.error(`[JOB ${jobId}] Erro geral:`, error.message);
-    job.status = "failed";
-    job.error = error.message || "Ocorreu um erro geral ao corrigir as atividades.";
-  } finally {
-    console.log(`[JOB ${jobId}] Limpando arquivos temporários...`);
-    tempFilePaths.forEach(path => {
-      try {
-        if (fs.existsSync(path)) fs.unlinkSync(path);
-      } catch (err) {
-        console.error(`Erro ao limpar arquivo temporário ${path}:`, err);
-      }
-    });
-    console.log(`[JOB ${jobId}] Limpeza concluída.`);
+// Resultados com confiança abaixo disso (ou com falha) ficam marcados para revisão
+const REVIEW_SETTINGS = {
+  minConfidence: Number(process.env.REVIEW_MIN_CONFIDENCE || 0.7),
+};
+
+// Arquivos enviados numa correção; ficam com o job para permitir nova correção
+function arquivosDoJob(files) {
+  return files.map(f => ({ path: f.path, mimetype: f.mimetype, originalname: f.originalname, filename: f.filename }));
+}
+
+function limparArquivosDaCorrecao(jobId, job) {
+  for (const file of job.files || []) {
+    try {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    } catch (e) { console.error(`[JOB ${jobId}] Erro ao limpar ${file.path}: ${e.message}`); }
   }
 }
 
-// ==========================================================
-// 5️⃣ ENDPOINT: INICIAR VERIFICAÇÃO (MÚLT. ESCOLHA) (Gabarito em Texto)
-// ==========================================================
+// `marked` é a letra marcada, "blank", "multiple" ou null (não lido). A
+// correção é sempre recalculada aqui a partir do gabarito; quando a marcação
+// não foi informada, mantém o `correct` devolvido pela IA.
+function montarDetalhes(details, gabaritoArray, invalidated) {
+  return gabaritoArray.map((resposta, i) => {
+    const d = details.find(item => Number(item.q) === i + 1) || {};
+    const marked = typeof d.marked === "string" ? d.marked.trim().toUpperCase() : null;
+    const markedNormalizado = marked === "BLANK" || marked === "MULTIPLE" ? marked.toLowerCase() : marked;
+    return {
+      q: i + 1,
+      marked: markedNormalizado,
+      correct: !invalidated && (markedNormalizado ? markedNormalizado === resposta : d.correct === true),
+      confidence: typeof d.confidence === "number" ? d.confidence : null,
+    };
+  });
+}
+
+function normalizarAluno(student) {
+  if (!student || typeof student !== "object") return null;
+  const name = typeof student.name === "string" && student.name.trim() ? student.name.trim() : null;
+  const id = student.id !== undefined && student.id !== null && String(student.id).trim() ? String(student.id).trim() : null;
+  return name || id ? { name, id } : null;
+}
+
+// Lê nome e matrícula do cabeçalho recortado da folha (manuscrito, por isso via IA)
+async function lerCabecalhoDoAluno(jobId, studentFile, header) {
+  try {
+    const image = await recortarCabecalho(studentFile.path, header);
+    const prompt = `
+      Leia o cabeçalho desta folha de respostas e extraia o que o aluno escreveu nos campos "Nome" e "Matrícula".
+      Responda APENAS com um JSON válido, sem markdown: { "name": "nome ou null", "id": "matrícula ou null" }
+      Use null para campos em branco ou ilegíveis.
+    `;
+    const result = await getModel().generateContent(
+      [prompt, { inlineData: { data: image.toString("base64"), mimeType: "image/png" } }],
+      { temperature: 0.1 }
+    );
+    const text = result.response.text().replace(/```json/g, '').replace(/```/g, '').trim();
+    return normalizarAluno(JSON.parse(text));
+  } catch (e) {
+    console.error(`[JOB ${jobId}] Não foi possível ler o cabeçalho de ${studentFile.originalname}:`, e.message);
+    return null;
+  }
+}
+
+async function corrigirPorOmr(jobId, studentFile, gabaritoArray) {
+  if (!OMR_SETTINGS.enabled || gabaritoArray.length > MAX_QUESTIONS) return null;
+  try {
+    const omr = await lerFolhaDeRespostas(studentFile.path, gabaritoArray.length);
+    if (!omr.ok) {
+      console.log(`[JOB ${jobId}] OMR não reconheceu ${studentFile.originalname}: ${omr.reason} Usando a IA.`);
+      return null;
+    }
+    if (!omr.invalidated && omr.confidence < OMR_SETTINGS.minConfidence) {
+      console.log(`[JOB ${jobId}] OMR com baixa confiança (${omr.confidence}) em ${studentFile.originalname}. Usando a IA.`);
+      return null;
+    }
+    return {
+      method: "omr",
+      invalidated: omr.invalidated,
+      student: await lerCabecalhoDoAluno(jobId, studentFile, omr.header),
+      details: omr.answers,
+    };
+  } catch (e) {
+    console.error(`[JOB ${jobId}] Erro no OMR de ${studentFile.originalname}:`, e.message);
+    return null;
+  }
+}
+
+// Corrige uma folha (OMR ou IA) e devolve o resultado; usada na correção do
+// lote e na nova correção de uma folha pedida pelo professor
+async function corrigirFolha(jobId, studentFile, gabaritoArray) {
+  const totalQuestoes = gabaritoArray.length;
+  const invalidDetails = gabaritoArray.map((_, i) => ({ "q": i + 1, "marked": null, "correct": false, "confidence": null }));
+  const studentImagePart = fileToGenerativePart(studentFile.path, studentFile.mimetype);
+  if (!studentImagePart) return null;
+
+  // ESTE É O PROMPT CORRETO (MEIO-TERMO)
+  const singleImagePrompt = `
+    TASK: Grade a student's answer sheet image using a provided answer key.
+    INPUTS:
+    1.  ANSWER KEY (string array): ["${gabaritoArray.join('","')}"]
+    2.  IMAGE file: The student's filled-in answer sheet.
+    INSTRUCTIONS:
+    1.  **Parse Key:** The correct answers are in the ANSWER KEY array. The first item is for Q1, second for Q2, etc. Total questions = ${totalQuestoes}.
+    2.  **Check Invalidation:** Look at the IMAGE. Is there a large, distinct 'X' mark in RED?
+    3.  **Analyze Answers:** If NO red 'X', analyze the IMAGE to see which letter (A, B, C, D) the student marked for each question (1 to ${totalQuestoes}).
+    4.  **Handle Ambiguity:** If a student marked MORE THAN ONE option use "multiple"; if nothing is marked use "blank". Both count as INCORRECT. If the mark is unreadable use null.
+    5.  **Compare & Detail:** Compare the student's marks to the ANSWER KEY. Create a "details" list with the marked letter and true/false for each question.
+    6.  **Identify Student:** Read the student's name and ID (matrícula) written on the sheet. Use null when absent or unreadable.
+    OUTPUT FORMAT: Respond ONLY with a single, valid JSON object. Do not add markdown or any other text.
+    
+    **If a RED 'X' is found (Invalidated):**
+    {
+      "student": { "name": "nome_ou_null", "id": "matricula_ou_null" },
+      "details": ${JSON.stringify(invalidDetails)},
+      "invalidated": true
+    }
+
+    **If NO red 'X' is found (Valid Test):**
+    {
+      "student": { "name": "nome_ou_null", "id": "matricula_ou_null" },
+      "details": [
+        { "q": 1, "marked": "A_B_C_D_blank_ou_multiple", "correct": true_ou_false, "confidence": 0_a_1 },
+        { "q": 2, "marked": "A_B_C_D_blank_ou_multiple", "correct": true_ou_false, "confidence": 0_a_1 },
+        ... (uma entrada para cada uma das ${totalQuestoes} questões)
+      ],
+      "invalidated": false
+    }
+    "confidence" is how sure you are about the mark you read for that question (1 = certain).
+  `;
+
+  try {
+    let aiResponse = await corrigirPorOmr(jobId, studentFile, gabaritoArray);
+    if (!aiResponse) {
+      const result = await getModel().generateContent(
+        [singleImagePrompt, studentImagePart],
+        { temperature: 0.1 }
+      );
+      const fullResponseText = result.response.text();
+      try {
+          const cleanedText = fullResponseText.replace(/```json/g, '').replace(/```/g, '').trim();
+          aiResponse = { method: "ai", ...JSON.parse(cleanedText) };
+      } catch (e) {
+          console.error(`[JOB ${jobId}] Erro ao parsear JSON da IA para ${studentFile.originalname}:`, e.message);
+          console.error("Texto recebido da IA:", fullResponseText);
+          throw new Error(`A IA retornou um formato de JSON inválido para a imagem ${studentFile.originalname}.`);
+      }
+    }
+
+    if (!aiResponse || !Array.isArray(aiResponse.details)) {
+      throw new Error(`A IA não retornou um JSON com a propriedade 'details' para a imagem ${studentFile.originalname}.`);
+    }
+    const invalidated = aiResponse.invalidated === true;
+    const details = montarDetalhes(aiResponse.details, gabaritoArray, invalidated);
+    const correctCount = details.filter(d => d.correct).length;
+    const gradeString = `${correctCount}/${totalQuestoes}`;
+    const confidences = details.map(d => d.confidence).filter(c => typeof c === "number");
+    console.log(`[JOB ${jobId}] Nota para ${studentFile.originalname} (${aiResponse.method}): ${gradeString}`);
+    return marcarRevisao({ 
+      fileName: studentFile.originalname || studentFile.filename, 
+      student: normalizarAluno(aiResponse.student),
+      grade: gradeString,
+      method: aiResponse.method,
+      confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+      invalidated,
+      details,
+    }, "multiple-choice", REVIEW_SETTINGS);
+  } catch (imageError) {
+    console.error(`[JOB ${jobId}] Erro ao processar a imagem ${studentFile.originalname}:`, imageError.message);
+    return marcarRevisao({ 
+      fileName: studentFile.originalname || studentFile.filename, 
+      student: null,
+      grade: `0/${totalQuestoes}`,
+      invalidated: false,
+      error: imageError.message,
+      details: invalidDetails
+    }, "multiple-choice", REVIEW_SETTINGS);
+  }
+}
+
+async function corrigirProvas(jobId, studentSheetFiles, gabaritoString) {
+  const results = [];
+
+  const gabaritoArray = gabaritoString.split(',').map(s => s.trim().toUpperCase());
+  jobStore.update(jobId, { answerKey: gabaritoArray });
+
+  try {
+    const totalImagens = studentSheetFiles.length;
+    console.log(`[JOB ${jobId}] Iniciando correção de ${totalImagens} imagens com o gabarito: [${gabaritoString}]`);
+
+    let concluidas = 0;
+    const corrigirImagem = async (studentFile, i) => {
+      const message = `Processando imagem ${i + 1} de ${totalImagens}... (${studentFile.originalname})`;
+      jobStore.update(jobId, { message });
+      console.log(`[JOB ${jobId}] ${message}`);
+
+      const result = await corrigirFolha(jobId, studentFile, gabaritoArray);
+      if (!result) return;
+      // fileIndex aponta para job.files, para corrigir a folha de novo depois
+      results[i] = { ...result, fileIndex: i };
+      jobStore.emit(jobId, "grade", results[i]);
+
+      concluidas++;
+      const percent = Math.round((concluidas / totalImagens) * 95);
+      jobStore.update(jobId, { progress: percent });
+      console.log(`[JOB ${jobId}] Progresso: ${percent}%`);
+    };
+
+    // As imagens são corrigidas em paralelo, limitadas pela fila compartilhada
+    await Promise.all(studentSheetFiles.map((studentFile, i) => aiQueue.run(() => corrigirImagem(studentFile, i))));
+
+    console.log(`[JOB ${jobId}] Processamento de todas as imagens concluído.`);
+    const finalResultsPayload = { results: results.filter(Boolean) }; 
+    jobStore.update(jobId, {
+      status: "completed",
+      progress: 100,
+      message: "Correção concluída!",
+      results: finalResultsPayload,
+      gradebook: lancarNoDiario(jobId, finalResultsPayload.results, gabaritoArray),
+    });
+
+  } catch (error) {
+    console.error(`[JOB ${jobId}] Erro geral:`, error.message);
+    jobStore.update(jobId, {
+      status: "failed",
+      error: error.message || "Ocorreu um erro geral ao corrigir as atividades.",
+    });
+  }
+  // As imagens ficam guardadas (job.files) até o job expirar, para permitir
+  // corrigir uma folha de novo; são apagadas em limparArquivosDaCorrecao
+}
+
+// ==========================================================
+// 5️⃣ ENDPOINT: INICIAR VERIFICAÇÃO (MÚLT. ESCOLHA) (Gabarito em Texto)
+// ==========================================================
 app.post("/start-verification", 
   upload.fields([
       { name: 'studentSheet', maxCount: 40 } // Apenas as imagens
   ]), 
+  removerUploadsSeRecusado,
   (req, res) => {
     
     // Pega o gabarito do corpo do formulário
@@ -403,6 +1190,9 @@ app.post("/start-verification",
     if (!gabarito || gabarito.trim() === "") {
       return res.status(400).json({ error: "É necessário enviar o gabarito (ex: A,B,C)." });
     }
+
+    const assessmentError = validarAvaliacaoDoJob(req.user, req.body.assessmentId, "objetiva");
+    if (assessmentError) return res.status(assessmentError.status).json({ error: assessmentError.message });
     
     const studentSheetFiles = Array.isArray(req.files.studentSheet) 
         ? req.files.studentSheet 
@@ -411,15 +1201,20 @@ app.post("/start-verification",
     if (studentSheetFiles.length === 0) {
       return res.status(400).json({ error: "Nenhuma imagem de aluno foi enviada." });
     }
+    if (!consumirCota(req, res, "sheets", studentSheetFiles.length)) return;
 
     const jobId = uuidv4();
 
-    jobs[jobId] = {
+    jobStore.set(jobId, {
+      type: "multiple-choice",
+      owner: req.user.id,
       status: "processing",
       progress: 0,
       message: "Iniciando verificação...",
+      assessmentId: req.body.assessmentId || null,
+      files: arquivosDoJob(studentSheetFiles),
       results: null
-    };
+    });
 
     console.log(`[JOB ${jobId}] Verificação (Múlt. Escolha) criada. Iniciando em segundo plano...`);
     // Passa o gabarito em TEXTO para a função
@@ -431,114 +1226,180 @@ app.post("/start-verification",
 // ==========================================================
 // 6️⃣ FUNÇÃO: CORREÇÃO DISSERTATIVA (SEGUNDO PLANO)
 // ==========================================================
-async function corrigirProvasDissertativas(jobId, studentSheetFiles, gabarito, criterios, notaMaxima) {
-  const job = jobs[jobId]; 
-  const tempFilePaths = []; 
-  studentSheetFiles.forEach(file => tempFilePaths.push(file.path));
+const ESSAY_SETTINGS = {
+  maxPdfPages: Number(process.env.ESSAY_MAX_PDF_PAGES || 50),
+};
 
-  const generationConfig = {
-      temperature: 0.3, 
-  };
-  const results = [];
+// Monta de novo as páginas de uma prova já corrigida, a partir de job.files
+function paginasDoResultado(job, result, pagesDir) {
+  const pages = [];
+  const byFile = new Map();
+  for (const ref of result.pageRefs || []) {
+    if (!byFile.has(ref.fileIndex)) {
+      byFile.set(ref.fileIndex, paginasDoArquivo(job.files[ref.fileIndex], pagesDir, { maxPages: ESSAY_SETTINGS.maxPdfPages })
+        .map(page => ({ ...page, fileIndex: ref.fileIndex })));
+    }
+    const page = byFile.get(ref.fileIndex).find(p => p.page === ref.page);
+    if (page) pages.push(page);
+  }
+  return pages;
+}
 
+// Lê o nome do aluno no topo de uma página (agrupamento "nome")
+async function lerNomeDaPagina(jobId, page) {
+  const pagePart = fileToGenerativePart(page.path, page.mimetype);
+  if (!pagePart) return null;
+  const prompt = `
+    Esta imagem é uma página de uma prova manuscrita. Se houver o nome do aluno escrito no topo desta página, transcreva-o.
+    Responda APENAS com um JSON válido, sem markdown: { "name": "nome ou null" }
+    Use null quando a página não tiver nome (por exemplo, folhas de continuação).
+  `;
   try {
-    const model = getModel(); // <-- Usa o 2.0-flash
-    
-    const totalImagens = studentSheetFiles.length;
-    console.log(`[JOB ${jobId}] Iniciando correção DISSERTATIVA de ${totalImagens} imagens.`);
-
-    for (let i = 0; i < totalImagens; i++) {
-      const studentFile = studentSheetFiles[i];
-      const studentImagePart = fileToGenerativePart(studentFile.path, studentFile.mimetype);
-      if (!studentImagePart) continue;
-
-      const percent = Math.round(((i + 1) / totalImagens) * 95); 
-      job.progress = percent;
-      job.message = `Corrigindo prova ${i + 1} de ${totalImagens}... (${studentFile.originalname})`;
-      console.log(`[JOB ${jobId}] Progresso: ${percent}% - ${job.message}`);
-
-      const dissertativaPrompt = `
-        TAREFA: Você é um professor assistente. Sua tarefa é corrigir a prova dissertativa de um aluno contida em uma IMAGEM.
-        CONTEXTO:
-        1.  **GABARITO (RESPOSTA ESPERADA):** """${gabarito}"""
-        2.  **CRITÉRIOS DE AVALIAÇÃO (OBSERVAÇÕES):** """${criterios}"""
-        3.  **NOTA MÁXIMA:** ${notaMaxima}
-        INSTRUÇÕES:
-        1.  Leia e entenda o GABARITO e os CRITÉRIOS.
-        2.  Leia a resposta do aluno na IMAGEM.
-        3.  Compare a resposta do aluno com o GABARITO, aplicando os CRITÉRIOS.
-        4.  Decida uma NOTA para o aluno, de 0 a ${notaMaxima}. A nota pode ser um número decimal (ex: 8.5).
-        5.  Escreva um FEEDBACK detalhado, explicando por que o aluno tirou essa nota, o que ele acertou, e o que faltou de acordo com o GABARITO e os CRITÉRIOS.
-        FORMATO DE SAÍDA:
-        Responda APENAS com um objeto JSON válido. Não inclua markdown (como \`\`\`json) ou qualquer outro texto.
-        
-        {
-          "nota": 8.5,
-          "feedback": "O aluno demonstrou boa compreensão do Tópico 1, como pedido nos critérios. No entanto, a explicação sobre o Tópico 2 foi incompleta e não citou os exemplos do gabarito, por isso a nota não foi máxima."
-        }
-      `;
+    const result = await getModel().generateContent([prompt, pagePart], { temperature: 0.1 });
+    const parsed = JSON.parse(result.response.text().replace(/```json/g, '').replace(/```/g, '').trim());
+    return typeof parsed.name === "string" ? parsed.name : null;
+  } catch (e) {
+    console.error(`[JOB ${jobId}] Não foi possível ler o nome em ${rotuloDaPagina(page)}:`, e.message);
+    return null;
+  }
+}
 
-      try {
-        const result = await model.generateContent(
-          [dissertativaPrompt, studentImagePart],
-          generationConfig
-        );
-        const fullResponseText = result.response.text();
+// Corrige as páginas de um aluno e devolve o resultado; usada na correção do
+// lote e na nova correção de uma prova pedida pelo professor
+async function corrigirProvaDissertativa(jobId, submission, rubric) {
+  const pageParts = submission.pages
+    .map(page => fileToGenerativePart(page.path, page.mimetype))
+    .filter(Boolean);
+  if (pageParts.length === 0) return null;
 
-        let aiResponse;
-        try {
-            const cleanedText = fullResponseText.replace(/```json/g, '').replace(/```/g, '').trim();
-            aiResponse = JSON.parse(cleanedText);
-        } catch (e) {
-            console.error(`[JOB ${jobId}] Erro ao parsear JSON da IA para ${studentFile.originalname}:`, e.message);
-            console.error("Texto recebido da IA:", fullResponseText);
-            throw new Error(`A IA retornou um formato de JSON inválido para a imagem ${studentFile.originalname}.`);
-        }
+  const pageLabels = submission.pages.map(rotuloDaPagina);
+  // pageRefs aponta para job.files, para montar as mesmas páginas de novo depois
+  const pageRefs = submission.pages.map(page => ({ fileIndex: page.fileIndex, page: page.page }));
+  const dissertativaPrompt = buildRubricPrompt(rubric, pageParts.length);
 
-        if (aiResponse && aiResponse.nota !== undefined && aiResponse.feedback) {
-          console.log(`[JOB ${jobId}] Nota para ${studentFile.originalname}: ${aiResponse.nota}`);
-          results.push({ 
-            fileName: studentFile.originalname || studentFile.filename, 
-            nota: aiResponse.nota.toString(),
-            feedback: aiResponse.feedback 
-          });
-        } else {
-          throw new Error(`A IA não retornou um JSON com 'nota' e 'feedback' para a imagem ${studentFile.originalname}.`);
-        }
-        
-      } catch (imageError) {
-        console.error(`[JOB ${jobId}] Erro ao processar a imagem ${studentFile.originalname}:`, imageError.message);
-        results.push({ 
-          fileName: studentFile.originalname || studentFile.filename, 
+  try {
+    const result = await getModel().generateContent(
+      [dissertativaPrompt, ...pageParts],
+      { temperature: 0.3 }
+    );
+    const fullResponseText = result.response.text();
+
+    let aiResponse;
+    try {
+        const cleanedText = fullResponseText.replace(/```json/g, '').replace(/```/g, '').trim();
+        aiResponse = JSON.parse(cleanedText);
+    } catch (e) {
+        console.error(`[JOB ${jobId}] Erro ao parsear JSON da IA para ${submission.label}:`, e.message);
+        console.error("Texto recebido da IA:", fullResponseText);
+        throw new Error(`A IA retornou um formato de JSON inválido para a prova ${submission.label}.`);
+    }
+
+    const grade = calcularNotaPorRubrica(rubric, aiResponse);
+    console.log(`[JOB ${jobId}] Nota para ${submission.label}: ${grade.nota}/${grade.notaMaxima}`);
+    const alunoLido = typeof aiResponse.aluno === "string" && aiResponse.aluno.trim() ? aiResponse.aluno.trim() : null;
+    return marcarRevisao({ 
+      fileName: submission.label,
+      student: submission.student || alunoLido,
+      pages: pageLabels,
+      pageRefs,
+      nota: grade.nota.toString(),
+      notaMaxima: grade.notaMaxima,
+      feedback: grade.feedback,
+      questions: grade.questions,
+    }, "essay", REVIEW_SETTINGS);
+  } catch (imageError) {
+    console.error(`[JOB ${jobId}] Erro ao processar a prova ${submission.label}:`, imageError.message);
+    return marcarRevisao({ 
+      fileName: submission.label,
+      student: submission.student,
+      pages: pageLabels,
+      pageRefs,
+      nota: "Erro",
+      notaMaxima: rubric.maxPoints,
+      feedback: `A IA falhou ao processar esta prova.\n${imageError.message}`
+    }, "essay", REVIEW_SETTINGS);
+  }
+}
+
+// `rubric` já vem normalizada (normalizarRubrica); sem rubrica, o endpoint monta
+// uma de questão única com o gabarito, os critérios e a nota máxima
+async function corrigirProvasDissertativas(jobId, studentSheetFiles, rubric, agrupamento = "arquivo") {
+  const pagesDir = `uploads/${jobId}_paginas`;
+  const results = [];
+
+  try {
+    // PDFs viram uma imagem por página; arquivos ilegíveis entram como erro no resultado
+    jobStore.update(jobId, { message: "Preparando as páginas enviadas..." });
+    const pages = [];
+    const fileErrors = [];
+    studentSheetFiles.forEach((file, fileIndex) => {
+      try {
+        const filePages = paginasDoArquivo(file, pagesDir, { maxPages: ESSAY_SETTINGS.maxPdfPages });
+        pages.push(...filePages.map(page => ({ ...page, fileIndex })));
+      } catch (e) {
+        console.error(`[JOB ${jobId}] ${e.message}`);
+        const errorResult = marcarRevisao({
+          fileName: file.originalname || file.filename,
+          student: null,
+          pages: [],
+          pageRefs: [],
           nota: "Erro",
-          feedback: `A IA falhou ao processar esta imagem.\n${imageError.message}`
-        });
+          notaMaxima: rubric.maxPoints,
+          feedback: e.message,
+        }, "essay", REVIEW_SETTINGS);
+        fileErrors.push(errorResult);
+        jobStore.emit(jobId, "grade", errorResult);
       }
-      
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    } // Fim do loop for
+    });
+
+    let names = [];
+    if (agrupamento === "nome") {
+      jobStore.update(jobId, { message: "Identificando o aluno de cada página..." });
+      names = await Promise.all(pages.map(page => aiQueue.run(() => lerNomeDaPagina(jobId, page))));
+    }
+    const submissions = agruparPaginas(pages, agrupamento, names);
+
+    const totalProvas = submissions.length;
+    console.log(`[JOB ${jobId}] Iniciando correção DISSERTATIVA de ${totalProvas} provas (${pages.length} páginas, agrupamento "${agrupamento}").`);
+
+    let concluidas = 0;
+    const corrigirProva = async (submission, i) => {
+      const message = `Corrigindo prova ${i + 1} de ${totalProvas}... (${submission.label}, ${submission.pages.length} página(s))`;
+      jobStore.update(jobId, { message });
+      console.log(`[JOB ${jobId}] ${message}`);
+
+      const result = await corrigirProvaDissertativa(jobId, submission, rubric);
+      if (!result) return;
+      results[i] = result;
+      jobStore.emit(jobId, "grade", results[i]);
+
+      concluidas++;
+      const percent = Math.round((concluidas / totalProvas) * 95);
+      jobStore.update(jobId, { progress: percent });
+      console.log(`[JOB ${jobId}] Progresso: ${percent}%`);
+    };
+
+    await Promise.all(submissions.map((submission, i) => aiQueue.run(() => corrigirProva(submission, i))));
 
     console.log(`[JOB ${jobId}] Processamento dissertativo concluído.`);
-    const finalResultsPayload = { results: results }; 
-    job.status = "completed";
-    job.progress = 100;
-    job.message = "Correção concluída!";
-    job.results = finalResultsPayload;
+    const finalResultsPayload = { results: [...results.filter(Boolean), ...fileErrors] }; 
+    jobStore.update(jobId, {
+      status: "completed",
+      progress: 100,
+      message: "Correção concluída!",
+      results: finalResultsPayload,
+      gradebook: lancarNoDiario(jobId, finalResultsPayload.results),
+    });
 
   } catch (error) {
     console.error(`[JOB ${jobId}] Erro geral:`, error.message);
-    job.status = "failed";
-    job.error = error.message || "Ocorreu um erro geral ao corrigir as provas.";
-  } finally {
-    console.log(`[JOB ${jobId}] Limpando arquivos temporários...`);
-    tempFilePaths.forEach(path => {
-      try {
-        if (fs.existsSync(path)) fs.unlinkSync(path);
-      } catch (err) {
-        console.error(`Erro ao limpar arquivo temporário ${path}:`, err);
-      }
+    jobStore.update(jobId, {
+      status: "failed",
+      error: error.message || "Ocorreu um erro geral ao corrigir as provas.",
     });
-    console.log(`[JOB ${jobId}] Limpeza concluída.`);
+  } finally {
+    // Os arquivos enviados ficam (job.files) para uma nova correção; só as páginas convertidas saem
+    fs.rmSync(pagesDir, { recursive: true, force: true });
   }
 }
 
@@ -549,17 +1410,41 @@ app.post("/start-dissertativa-correction",
   upload.fields([
       { name: 'studentSheet', maxCount: 40 } 
   ]), 
+  removerUploadsSeRecusado,
   (req, res) => {
     
-    const { gabaritoDissertativo, criteriosAvaliacao, notaMaxima } = req.body;
+    const { gabaritoDissertativo, criteriosAvaliacao, notaMaxima, rubrica } = req.body;
+    const agrupamento = req.body.agrupamento || "arquivo";
 
     if (!req.files || !req.files.studentSheet) {
-      return res.status(400).json({ error: "É necessário enviar pelo menos uma imagem do aluno." });
+      return res.status(400).json({ error: "É necessário enviar pelo menos uma imagem ou PDF do aluno." });
     }
-    
-    if (!gabaritoDissertativo || !criteriosAvaliacao || !notaMaxima) {
-      return res.status(400).json({ error: "Por favor, preencha o gabarito, os critérios e a nota máxima." });
+
+    // A rubrica vem como JSON no campo "rubrica"; sem ela, valem os campos simples
+    let rubric;
+    if (rubrica) {
+      try {
+        rubric = typeof rubrica === "string" ? JSON.parse(rubrica) : rubrica;
+      } catch (e) {
+        return res.status(400).json({ error: "O campo 'rubrica' não é um JSON válido." });
+      }
+    } else if (!gabaritoDissertativo || !criteriosAvaliacao || !notaMaxima) {
+      return res.status(400).json({ error: "Por favor, envie a rubrica ou preencha o gabarito, os critérios e a nota máxima." });
+    } else {
+      rubric = rubricaSimples(gabaritoDissertativo, criteriosAvaliacao, notaMaxima);
     }
+
+    const rubricErrors = validarRubrica(rubric);
+    if (rubricErrors.length > 0) {
+      return res.status(400).json({ error: "Rubrica inválida.", details: rubricErrors });
+    }
+
+    if (!AGRUPAMENTOS.includes(agrupamento)) {
+      return res.status(400).json({ error: `Agrupamento inválido. Use: ${AGRUPAMENTOS.join(", ")}.` });
+    }
+
+    const assessmentError = validarAvaliacaoDoJob(req.user, req.body.assessmentId, "dissertativa");
+    if (assessmentError) return res.status(assessmentError.status).json({ error: assessmentError.message });
     
     const studentSheetFiles = Array.isArray(req.files.studentSheet) 
         ? req.files.studentSheet 
@@ -568,29 +1453,725 @@ app.post("/start-dissertativa-correction",
     if (studentSheetFiles.length === 0) {
       return res.status(400).json({ error: "Nenhuma imagem de aluno foi enviada." });
     }
+    if (!consumirCota(req, res, "sheets", studentSheetFiles.length)) return;
 
     const jobId = uuidv4();
 
-    jobs[jobId] = {
+    const normalizedRubric = normalizarRubrica(rubric);
+    jobStore.set(jobId, {
+      type: "essay",
+      owner: req.user.id,
       status: "processing",
       progress: 0,
       message: "Iniciando correção dissertativa...",
+      assessmentId: req.body.assessmentId || null,
+      files: arquivosDoJob(studentSheetFiles),
+      rubric: normalizedRubric,
       results: null
-    };
+    });
 
     console.log(`[JOB ${jobId}] Correção DISSERTATIVA criada. Iniciando em segundo plano...`);
 
-    corrigirProvasDissertativas(jobId, studentSheetFiles, gabaritoDissertativo, criteriosAvaliacao, notaMaxima);
+    corrigirProvasDissertativas(jobId, studentSheetFiles, normalizedRubric, agrupamento);
 
     res.status(202).json({ jobId: jobId });
   }
 );
 
 
+// ==========================================================
+// 📚 DIÁRIO DE NOTAS: TURMAS, AVALIAÇÕES E EXPORTAÇÃO
+// ==========================================================
+// Uma correção enviada com `assessmentId` tem os resultados lançados na
+// avaliação ao terminar, associados aos alunos da turma. Cada usuário só vê
+// as próprias turmas; as de outros respondem 404, como se não existissem.
+
+// Registros com dono, do diário e da biblioteca. A avaliação pertence ao dono da turma.
+const REGISTROS_COM_DONO = {
+  turma: { buscar: id => gradebook.getClass(id), dono: classe => classe.owner, naoEncontrado: "Turma não encontrada." },
+  avaliacao: {
+    buscar: id => gradebook.getAssessment(id),
+    dono: assessment => gradebook.getClass(assessment.classId).owner,
+    naoEncontrado: "Avaliação não encontrada.",
+  },
+  aula: { buscar: id => library.getLesson(id), dono: lesson => lesson.owner, naoEncontrado: "Aula não encontrada." },
+  questao: { buscar: id => library.getQuestion(id), dono: question => question.owner, naoEncontrado: "Questão não encontrada." },
+};
+
+// Devolve o registro se o usuário pode acessá-lo; lança erro 404 se não existe ou é de outro usuário
+function doUsuario(user, tipo, id) {
+  const { buscar, dono, naoEncontrado } = REGISTROS_COM_DONO[tipo];
+  const record = buscar(id);
+  if (!podeAcessar(user, dono(record))) {
+    const error = new Error(naoEncontrado);
+    error.status = 404;
+    throw error;
+  }
+  return record;
+}
+
+function validarAvaliacaoDoJob(user, assessmentId, type) {
+  if (!assessmentId) return null;
+  try {
+    const assessment = doUsuario(user, "avaliacao", assessmentId);
+    if (assessment.type !== type) {
+      return { status: 400, message: `A avaliação ${assessment.title} é ${assessment.type}, não ${type}.` };
+    }
+    return null;
+  } catch (e) {
+    return { status: e.status || 500, message: e.message };
+  }
+}
+
+function lancarNoDiario(jobId, results, answerKey = null) {
+  const { assessmentId } = jobStore.get(jobId) || {};
+  if (!assessmentId) return null;
+  try {
+    const { matched, unmatched } = gradebook.registrarResultados(assessmentId, { jobId, answerKey }, results);
+    console.log(`[JOB ${jobId}] Resultados lançados na avaliação ${assessmentId}: ${matched} associados, ${unmatched} sem aluno.`);
+    return { assessmentId, matched, unmatched };
+  } catch (e) {
+    console.error(`[JOB ${jobId}] Erro ao lançar no diário:`, e.message);
+    return { assessmentId, error: e.message };
+  }
+}
+
+// Erros do diário trazem `status` (4xx) e, na lista de alunos, `details`
+function responderErroDoDiario(res, error) {
+  if (!error.status) console.error("[DIÁRIO] Erro:", error.message);
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : "Ocorreu um erro no diário de notas.",
+    ...(error.details ? { details: error.details } : {}),
+  });
+}
+
+app.get("/classes", (req, res) => {
+  res.json({ classes: gradebook.listClasses(req.user.role === "admin" ? undefined : req.user.id) });
+});
+
+app.post("/classes", (req, res) => {
+  try {
+    res.status(201).json(gradebook.createClass(req.body, req.user.id));
+  } catch (error) {
+    responderErroDoDiario(res, error);
+  }
+});
+
+app.get("/classes/:classId", (req, res) => {
+  try {
+    const classe = doUsuario(req.user, "turma", req.params.classId);
+    res.json({ ...classe, assessments: gradebook.listAssessments(classe.id) });
+  } catch (error) {
+    responderErroDoDiario(res, error);
+  }
+});
+
+app.put("/classes/:classId/students", (req, res) => {
+  try {
+    doUsuario(req.user, "turma", req.params.classId);
+    res.json(gradebook.setStudents(req.params.classId, req.body.students));
+  } catch (error) {
+    responderErroDoDiario(res, error);
+  }
+});
+
+app.post("/classes/:classId/assessments", (req, res) => {
+  try {
+    doUsuario(req.user, "turma", req.params.classId);
+    res.status(201).json(gradebook.createAssessment(req.params.classId, req.body));
+  } catch (error) {
+    responderErroDoDiario(res, error);
+  }
+});
+
+app.get("/assessments/:assessmentId", (req, res) => {
+  try {
+    const assessment = doUsuario(req.user, "avaliacao", req.params.assessmentId);
+    const classe = gradebook.getClass(assessment.classId);
+    const graded = new Set(assessment.results.map(r => r.studentId).filter(Boolean));
+    res.json({
+      ...assessment,
+      stats: estatisticas(assessment),
+      missing: classe.students.filter(s => !graded.has(s.id)),
+    });
+  } catch (error) {
+    responderErroDoDiario(res, error);
+  }
+});
+
+const GRADEBOOK_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+app.get("/assessments/:assessmentId/export", async (req, res) => {
+  const format = req.query.format || "xlsx";
+  if (!GRADEBOOK_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Formato inválido. Use: ${GRADEBOOK_FORMATS.join(", ")}.` });
+  }
+  try {
+    const assessment = doUsuario(req.user, "avaliacao", req.params.assessmentId);
+    const classe = gradebook.getClass(assessment.classId);
+    const stats = estatisticas(assessment);
+    const buffer = format === "csv"
+      ? gerarCsv(classe, assessment, stats)
+      : await gerarXlsx(classe, assessment, stats);
+    const fileName = `${classe.name}-${assessment.title}`.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^\w-]+/g, "_");
+    res.set("Content-Type", GRADEBOOK_CONTENT_TYPES[format]);
+    res.set("Content-Disposition", `attachment; filename="${fileName}.${format}"`);
+    res.send(buffer);
+  } catch (error) {
+    responderErroDoDiario(res, error);
+  }
+});
+
+// ==========================================================
+// 🔍 REVISÃO E NOVA CORREÇÃO PELO PROFESSOR
+// ==========================================================
+// Resultados são identificados pela posição em job.results.results. Cada
+// alteração fica em `audit` e, se o job estiver ligado a uma avaliação, o
+// lançamento do diário é atualizado.
+const REVIEWABLE_TYPES = ["multiple-choice", "essay"];
+
+// Valida o job e o resultado pedidos; responde o erro e devolve null se inválidos
+function buscarResultado(req, res) {
+  const job = jobStore.get(req.params.jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
+    res.status(404).json({ error: "Trabalho não encontrado." });
+    return null;
+  }
+  if (!REVIEWABLE_TYPES.includes(job.type)) {
+    res.status(400).json({ error: "Apenas trabalhos de correção podem ser revisados." });
+    return null;
+  }
+  if (job.status !== "completed") {
+    res.status(409).json({ error: "A correção ainda não terminou." });
+    return null;
+  }
+  const index = Number(req.params.index);
+  const result = Number.isInteger(index) ? job.results.results[index] : undefined;
+  if (!result) {
+    res.status(404).json({ error: "Resultado não encontrado." });
+    return null;
+  }
+  return { job, index, result };
+}
+
+function salvarResultado(jobId, index, result) {
+  const job = jobStore.get(jobId);
+  const results = job.results.results.map((r, i) => (i === index ? result : r));
+  jobStore.update(jobId, { results: { ...job.results, results } });
+  jobStore.emit(jobId, "grade", result);
+  if (!job.assessmentId) return;
+  try {
+    gradebook.substituirResultado(job.assessmentId, { jobId, resultIndex: index, answerKey: job.answerKey }, result);
+  } catch (e) {
+    console.error(`[JOB ${jobId}] Erro ao atualizar o diário:`, e.message);
+  }
+}
+
+app.get("/jobs/:jobId/review", (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job || !podeAcessar(req.user, job.owner)) {
+    return res.status(404).json({ error: "Trabalho não encontrado." });
+  }
+  if (!REVIEWABLE_TYPES.includes(job.type)) {
+    return res.status(400).json({ error: "Apenas trabalhos de correção podem ser revisados." });
+  }
+  const results = job.results ? job.results.results : [];
+  const items = results
+    .map((r, index) => ({
+      index,
+      fileName: r.fileName,
+      student: r.student,
+      grade: job.type === "multiple-choice" ? r.grade : r.nota,
+      reasons: r.review ? r.review.reasons : [],
+      needed: Boolean(r.review && r.review.needed),
+    }))
+    .filter(item => item.needed)
+    .map(({ needed, ...item }) => item);
+  res.json({ status: job.status, total: results.length, pending: items.length, items });
+});
+
+app.patch("/jobs/:jobId/results/:index", (req, res) => {
+  const found = buscarResultado(req, res);
+  if (!found) return;
+  const { job, index, result } = found;
+  try {
+    const updated = aplicarRevisao(result, job.type, req.body, { answerKey: job.answerKey, rubric: job.rubric });
+    salvarResultado(req.params.jobId, index, updated);
+    const { changes } = updated.audit[updated.audit.length - 1];
+    console.log(`[JOB ${req.params.jobId}] Resultado ${index} (${result.fileName}) revisado: ${changes.length} alteração(ões).`);
+    res.json(updated);
+  } catch (error) {
+    if (!error.status) console.error(`[JOB ${req.params.jobId}] Erro na revisão:`, error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Ocorreu um erro ao salvar a revisão." });
+  }
+});
+
+app.post("/jobs/:jobId/results/:index/regrade", async (req, res) => {
+  const found = buscarResultado(req, res);
+  if (!found) return;
+  const { jobId } = req.params;
+  const { job, index, result } = found;
+  const pagesDir = `uploads/${jobId}_revisao_${index}`;
+
+  try {
+    let regraded = null;
+    if (job.type === "multiple-choice") {
+      const file = job.files && job.files[result.fileIndex];
+      if (file && fs.existsSync(file.path)) {
+        if (!consumirCota(req, res, "sheets", 1)) return;
+        regraded = await aiQueue.run(() => corrigirFolha(jobId, file, job.answerKey));
+        if (regraded) regraded = { ...regraded, fileIndex: result.fileIndex };
+      }
+    } else if (job.files && (result.pageRefs || []).length > 0 && result.pageRefs.every(ref => job.files[ref.fileIndex] && fs.existsSync(job.files[ref.fileIndex].path))) {
+      if (!consumirCota(req, res, "sheets", 1)) return;
+      const pages = paginasDoResultado(job, result, pagesDir);
+      const submission = { label: result.fileName, student: result.student, pages };
+      regraded = await aiQueue.run(() => corrigirProvaDissertativa(jobId, submission, job.rubric));
+    }
+    if (!regraded) {
+      return res.status(410).json({ error: "Os arquivos desta prova não estão mais disponíveis para uma nova correção." });
+    }
+
+    // A revisão pode ter mudado enquanto a IA corrigia; o histórico parte do valor atual
+    const previous = jobStore.get(jobId).results.results[index];
+    const reviewer = typeof req.body.reviewer === "string" ? req.body.reviewer.trim() || null : null;
+    const comment = typeof req.body.comment === "string" ? req.body.comment.trim() : "";
+    const updated = registrarNovaCorrecao(previous, regraded, job.type, { reviewer, comment });
+    salvarResultado(jobId, index, updated);
+    console.log(`[JOB ${jobId}] Resultado ${index} (${result.fileName}) corrigido de novo.`);
+    res.json(updated);
+  } catch (error) {
+    console.error(`[JOB ${jobId}] Erro na nova correção:`, error.message);
+    res.status(500).json({ error: "Ocorreu um erro ao corrigir a prova de novo." });
+  } finally {
+    fs.rmSync(pagesDir, { recursive: true, force: true });
+  }
+});
+
+// ==========================================================
+// 📖 BIBLIOTECA DE AULAS E BANCO DE QUESTÕES
+// ==========================================================
+// Uma aula é criada a partir de um job de transcrição concluído (ou de um
+// resumo enviado direto) e fica disponível para /generate-activity com
+// `lessonId`. Aulas e questões de outros usuários respondem 404.
+function responderErroDaBiblioteca(res, error) {
+  if (!error.status) console.error("[BIBLIOTECA] Erro:", error.message);
+  res.status(error.status || 500).json({ error: error.status ? error.message : "Ocorreu um erro na biblioteca de aulas." });
+}
+
+// Administradores veem as aulas e questões de todos
+const donoDaListagem = user => (user.role === "admin" ? undefined : user.id);
+
+app.get("/lessons", (req, res) => {
+  res.json({ lessons: library.listLessons(donoDaListagem(req.user), { q: req.query.q }) });
+});
+
+// { "jobId", "title", "topics" } ou { "title", "summary", "transcription", "topics" }
+app.post("/lessons", (req, res) => {
+  const { jobId } = req.body;
+  let source = { summary: req.body.summary, transcription: req.body.transcription };
+  if (jobId) {
+    const job = jobStore.get(jobId);
+    if (!job || !podeAcessar(req.user, job.owner) || job.type !== "transcription") {
+      return res.status(404).json({ error: "Trabalho de transcrição não encontrado." });
+    }
+    if (job.status !== "completed") {
+      return res.status(409).json({ error: "A transcrição ainda não foi concluída." });
+    }
+    source = { jobId, summary: job.summary, transcription: job.transcription, segments: job.segments, speakers: job.speakers };
+  }
+  try {
+    const lesson = library.createLesson(req.body, source, req.user.id);
+    console.log(`[BIBLIOTECA] Aula ${lesson.id} (${lesson.title}) salva${jobId ? ` a partir do job ${jobId}` : ""}.`);
+    res.status(201).json(lesson);
+  } catch (error) {
+    responderErroDaBiblioteca(res, error);
+  }
+});
+
+app.get("/lessons/:lessonId", (req, res) => {
+  try {
+    const lesson = doUsuario(req.user, "aula", req.params.lessonId);
+    res.json({ ...lesson, questions: library.searchQuestions(undefined, { lessonId: lesson.id }) });
+  } catch (error) {
+    responderErroDaBiblioteca(res, error);
+  }
+});
+
+app.patch("/lessons/:lessonId", (req, res) => {
+  try {
+    doUsuario(req.user, "aula", req.params.lessonId);
+    res.json(library.updateLesson(req.params.lessonId, req.body));
+  } catch (error) {
+    responderErroDaBiblioteca(res, error);
+  }
+});
+
+app.delete("/lessons/:lessonId", (req, res) => {
+  try {
+    doUsuario(req.user, "aula", req.params.lessonId);
+    library.deleteLesson(req.params.lessonId);
+    res.status(204).end();
+  } catch (error) {
+    responderErroDaBiblioteca(res, error);
+  }
+});
+
+// Filtros na query string: q, topic, difficulty, type, questionType, lessonId
+app.get("/questions", (req, res) => {
+  const { q, topic, difficulty, type, questionType, lessonId } = req.query;
+  if (type && !QUESTION_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Tipo inválido. Use: ${QUESTION_TYPES.join(", ")}.` });
+  }
+  const questions = library.searchQuestions(donoDaListagem(req.user), { q, topic, difficulty, type, questionType, lessonId });
+  res.json({ total: questions.length, questions });
+});
+
+app.patch("/questions/:questionId", (req, res) => {
+  try {
+    doUsuario(req.user, "questao", req.params.questionId);
+    res.json(library.updateQuestion(req.params.questionId, req.body));
+  } catch (error) {
+    responderErroDaBiblioteca(res, error);
+  }
+});
+
+app.delete("/questions/:questionId", (req, res) => {
+  try {
+    doUsuario(req.user, "questao", req.params.questionId);
+    library.deleteQuestion(req.params.questionId);
+    res.status(204).end();
+  } catch (error) {
+    responderErroDaBiblioteca(res, error);
+  }
+});
+
+// Monta uma nova prova com questões do banco: { "questionIds": [...] } na
+// ordem desejada, ou filtros ({ "topic", "difficulty", "type", ... }) com
+// `quantity` para sortear. A resposta tem o mesmo formato de /generate-activity
+// e pode ir direto para /activities/export.
+app.post("/questions/assemble", (req, res) => {
+  const { questionIds, quantity, filters = {} } = req.body;
+  try {
+    let questions;
+    if (Array.isArray(questionIds)) {
+      questions = questionIds.map(id => doUsuario(req.user, "questao", id));
+    } else {
+      const count = Number(quantity);
+      if (!Number.isInteger(count) || count < 1) {
+        return res.status(400).json({ error: 'Envie "questionIds" ou os filtros com "quantity" (inteiro maior que zero).' });
+      }
+      const candidates = library.searchQuestions(donoDaListagem(req.user), filters);
+      if (candidates.length < count) {
+        return res.status(400).json({ error: `O banco tem ${candidates.length} questões com esses filtros; foram pedidas ${count}.` });
+      }
+      // Sorteio sem repetição (Fisher–Yates parcial)
+      for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(Math.random() * (candidates.length - i));
+        [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+      }
+      questions = candidates.slice(0, count);
+    }
+    const activity = library.assembleActivity(questions);
+    const answers = activity.questions.map(q => q.correct).filter(Boolean);
+    console.log(`[BIBLIOTECA] Prova montada com ${activity.questions.length} questões do banco.`);
+    res.json({ activityText: renderizarAtividade(activity), answers, activity, questionIds: questions.map(q => q.id) });
+  } catch (error) {
+    responderErroDaBiblioteca(res, error);
+  }
+});
+
+// ==========================================================
+// 👤 USUÁRIOS E TOKENS
+// ==========================================================
+// Cada usuário gerencia os próprios tokens em /me; o cadastro de usuários e
+// das cotas é só para administradores. O administrador do ADMIN_TOKEN (e o
+// usuário local, com AUTH_ENABLED=false) não tem cadastro nem tokens próprios.
+function responderErroDeUsuario(res, error) {
+  if (!error.status) console.error("[AUTH] Erro:", error.message);
+  res.status(error.status || 500).json({ error: error.status ? error.message : "Ocorreu um erro ao gerenciar os usuários." });
+}
+
+function exigirAdmin(req, res, next) {
+  if (req.user.role !== "admin") {
+    return res.status(403).json({ error: "Apenas administradores podem gerenciar usuários." });
+  }
+  next();
+}
+
+app.get("/me", (req, res) => {
+  try {
+    res.json(usuarioPublico(userStore.getUser(req.user.id)));
+  } catch (error) {
+    // Administrador fixo ou usuário local: não estão no cadastro
+    res.json({ id: req.user.id, name: req.user.name, role: req.user.role, quota: {}, tokens: [] });
+  }
+});
+
+app.post("/me/tokens", (req, res) => {
+  try {
+    userStore.getUser(req.user.id);
+  } catch (error) {
+    return res.status(400).json({ error: "Este usuário não tem cadastro; use POST /users para criar usuários com tokens." });
+  }
+  try {
+    res.status(201).json(userStore.createToken(req.user.id, req.body.label));
+  } catch (error) {
+    responderErroDeUsuario(res, error);
+  }
+});
+
+app.delete("/me/tokens/:tokenId", (req, res) => {
+  try {
+    userStore.revokeToken(req.user.id, req.params.tokenId);
+    res.status(204).end();
+  } catch (error) {
+    responderErroDeUsuario(res, error);
+  }
+});
+
+app.get("/users", exigirAdmin, (req, res) => {
+  res.json({ users: userStore.listUsers() });
+});
+
+// Devolve o usuário e o primeiro token, que não pode ser consultado de novo
+app.post("/users", exigirAdmin, (req, res) => {
+  try {
+    const created = userStore.createUser(req.body);
+    console.log(`[AUTH] Usuário ${created.user.id} (${created.user.name}) criado por ${req.user.id}.`);
+    res.status(201).json(created);
+  } catch (error) {
+    responderErroDeUsuario(res, error);
+  }
+});
+
+app.patch("/users/:userId", exigirAdmin, (req, res) => {
+  try {
+    res.json(userStore.updateUser(req.params.userId, req.body));
+  } catch (error) {
+    responderErroDeUsuario(res, error);
+  }
+});
+
+app.post("/users/:userId/tokens", exigirAdmin, (req, res) => {
+  try {
+    res.status(201).json(userStore.createToken(req.params.userId, req.body.label));
+  } catch (error) {
+    responderErroDeUsuario(res, error);
+  }
+});
+
+app.delete("/users/:userId/tokens/:tokenId", exigirAdmin, (req, res) => {
+  try {
+    userStore.revokeToken(req.params.userId, req.params.tokenId);
+    res.status(204).end();
+  } catch (error) {
+    responderErroDeUsuario(res, error);
+  }
+});
+
+// ==========================================================
+// 🎙️ TRANSCRIÇÃO AO VIVO (WebSocket)
+// ==========================================================
+// ws://<servidor>/live?access_token=<token>&diarize=true&summaryStyle=guia
+// O navegador envia o áudio do microfone em mensagens binárias (MediaRecorder)
+// e {"type":"stop"} ao terminar. A cada LIVE_SETTINGS.tick segundos o áudio
+// novo é cortado nas pausas e cada parte transcrita volta como
+// {"type":"partial"}. A sessão é um job de transcrição comum (status "live"
+// durante a gravação) e termina pela mesma junção, formatação e resumo do
+// upload; /status, /events, /export e /retry funcionam com o mesmo jobId.
+const LIVE_SETTINGS = {
+  target: Number(process.env.LIVE_CHUNK_SECONDS || 30),
+  window: Number(process.env.LIVE_SILENCE_WINDOW || 8),
+  tick: Number(process.env.LIVE_TICK_SECONDS || 10),
+};
+
+const liveServer = new WebSocketServer({ noServer: true });
+
+function enviar(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+function iniciarSessaoAoVivo(ws, user, options) {
+  let model;
+  try {
+    model = getModel();
+  } catch (error) {
+    enviar(ws, { type: "error", error: error.message });
+    return ws.close(1011);
+  }
+
+  const jobId = uuidv4();
+  const outputDir = `uploads/${jobId}`;
+  const recording = createLiveRecording({
+    outputDir,
+    maxBytes: MEDIA_SETTINGS.maxUploadBytes,
+    maxDurationSeconds: MEDIA_SETTINGS.maxDurationSeconds,
+    chunk: { target: LIVE_SETTINGS.target, window: LIVE_SETTINGS.window, noiseDb: CHUNK_SETTINGS.noiseDb, minSilence: CHUNK_SETTINGS.minSilence },
+    media: MEDIA_SETTINGS,
+  });
+  const chunks = [];
+  let fila = Promise.resolve(); // cortes e transcrições, um de cada vez e em ordem
+  let ocupado = false;
+  let encerrando = false;
+  let minutosCobrados = 0;
+
+  jobStore.set(jobId, {
+    type: "transcription",
+    owner: user.id,
+    live: true,
+    status: "live",
+    progress: 0,
+    filePath: recording.recordingPath,
+    outputDir,
+    options,
+    chunks,
+  });
+  console.log(`[JOB ${jobId}] Sessão ao vivo iniciada.`);
+  enviar(ws, { type: "ready", jobId });
+
+  async function cortarETranscrever(final) {
+    const novas = await recording.cortar({ final });
+    // A cota é cobrada por minuto gravado, à medida que o áudio é cortado
+    const minutos = Math.ceil(recording.duration / 60);
+    if (minutos > minutosCobrados) {
+      userStore.consumir(user, "audioMinutes", minutos - minutosCobrados);
+      minutosCobrados = minutos;
+    }
+    for (const chunk of novas) {
+      chunks.push({ ...chunk, status: "pending" });
+      const i = chunks.length - 1;
+      const parte = await aiQueue.run(() => transcreverParte(jobId, model, chunks, i));
+      enviar(ws, parte.status === "done"
+        ? { type: "partial", index: i, start: parte.start, end: parte.end, text: parte.text, segments: parte.segments }
+        : { type: "partial", index: i, start: parte.start, end: parte.end, status: "failed", error: parte.error });
+    }
+  }
+
+  function agendar(final) {
+    ocupado = true;
+    fila = fila
+      .then(() => cortarETranscrever(final))
+      .catch(error => {
+        console.error(`[JOB ${jobId}] Erro na sessão ao vivo:`, error.message);
+        enviar(ws, { type: "error", error: error.status ? error.message : "Erro ao processar o áudio recebido." });
+        encerrar(error);
+      })
+      .finally(() => { ocupado = false; });
+    return fila;
+  }
+
+  const timer = setInterval(() => {
+    if (!encerrando && !ocupado && recording.format) agendar(false);
+  }, LIVE_SETTINGS.tick * 1000);
+
+  // Depois de um erro, o job fica só com as partes já transcritas
+  async function encerrar(motivo = null) {
+    if (encerrando) return;
+    encerrando = true;
+    clearInterval(timer);
+    console.log(`[JOB ${jobId}] Sessão ao vivo encerrada${motivo ? ` (${motivo.message})` : ""}. Finalizando...`);
+    if (!motivo) agendar(true);
+    await fila;
+
+    if (chunks.length === 0) {
+      jobStore.update(jobId, { status: "failed", error: motivo ? motivo.message : "Nenhum áudio foi recebido." });
+      limparArquivosTranscricao(jobId, jobStore.get(jobId));
+      enviar(ws, { type: "done", jobId, status: "failed" });
+      return ws.close(1000);
+    }
+
+    jobStore.update(jobId, { status: "processing", media: { format: recording.format, duration: recording.duration, hasVideo: false } });
+    enviar(ws, { type: "status", status: "processing" });
+    // A gravação não é mais necessária: novas tentativas usam as partes
+    fs.rmSync(recording.recordingPath, { force: true });
+    await finalizarTranscricao(jobId, chunks);
+
+    const job = jobStore.get(jobId);
+    enviar(ws, {
+      type: "done",
+      jobId,
+      status: job.status,
+      language: job.language,
+      transcription: job.transcription,
+      summary: job.summary,
+      ...(job.translatedTo ? { translatedTranscription: job.translatedTranscription, translatedSummary: job.translatedSummary } : {}),
+      failedChunks: job.failedChunks,
+    });
+    ws.close(1000);
+  }
+
+  ws.on("message", (data, isBinary) => {
+    if (encerrando) return;
+    if (isBinary) {
+      try {
+        recording.append(data);
+      } catch (error) {
+        enviar(ws, { type: "error", error: error.message });
+        encerrar(error);
+      }
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (e) {
+      message = {};
+    }
+    if (message.type === "stop") encerrar();
+    else enviar(ws, { type: "error", error: 'Mensagem desconhecida. Envie o áudio em mensagens binárias e {"type":"stop"} para encerrar.' });
+  });
+
+  // Conexão perdida no meio da aula: o que já foi gravado é finalizado mesmo assim
+  ws.on("close", () => encerrar());
+}
+
+// Autenticação (access_token na URL, já que o navegador não envia cabeçalhos
+// no WebSocket), origem permitida e opções, antes de aceitar a conexão
+function aceitarConexaoAoVivo(req, socket, head) {
+  const url = new URL(req.url, "http://localhost");
+  const recusar = (status, message) => {
+    socket.end(`HTTP/1.1 ${status}\r\nContent-Type: application/json\r\nConnection: close\r\n\r\n${JSON.stringify({ error: message })}`);
+  };
+  if (url.pathname !== "/live") return socket.destroy();
+  if (CORS_ORIGINS.length > 0 && req.headers.origin && !CORS_ORIGINS.includes(req.headers.origin)) {
+    return recusar("403 Forbidden", "Origem não permitida.");
+  }
+  const user = usuarioDoToken(userStore, url.searchParams.get("access_token"), AUTH_SETTINGS);
+  if (!user) return recusar("401 Unauthorized", "Autenticação necessária. Envie um token válido em ?access_token=.");
+
+  let options;
+  try {
+    options = lerOpcoesDeTranscricao(Object.fromEntries(url.searchParams));
+  } catch (error) {
+    return recusar("400 Bad Request", error.message);
+  }
+  liveServer.handleUpgrade(req, socket, head, ws => iniciarSessaoAoVivo(ws, user, options));
+}
+
+// ==========================================================
+// Erros de upload (tamanho, quantidade de arquivos) em JSON
+// ==========================================================
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: `O arquivo excede o tamanho máximo de ${+(MEDIA_SETTINGS.maxUploadBytes / 1024 / 1024).toFixed(1)} MB.`,
+      LIMIT_UNEXPECTED_FILE: `Campo de arquivo inesperado ou arquivos demais: "${err.field}".`,
+    };
+    console.error(`[ERRO] Upload rejeitado: ${err.code}`);
+    return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ error: messages[err.code] || err.message });
+  }
+  next(err);
+});
+
 // ================================
 // 8️⃣ INICIALIZAÇÃO DO SERVIDOR
 // ================================
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`✅ Servidor rodando na porta ${PORT}`);
 });
+server.on("upgrade", aceitarConexaoAoVivo);
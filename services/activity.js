@@ -0,0 +1,199 @@
+// ==========================
+// Geração estruturada de atividades (JSON validado no servidor)
+// ==========================
+// O modelo devolve a atividade em JSON; validarAtividade confere o formato
+// contra as opções pedidas e, se houver problemas, a lista de erros volta no
+// prompt da próxima tentativa. O texto para impressão é montado aqui, a partir
+// do JSON, em vez de vir pronto da IA.
+
+export const LETTERS = ["A", "B", "C", "D"];
+
+export function isTrueFalse(options) {
+  return options.type === "objetiva" && options.questionType === "verdadeiro ou falso";
+}
+
+function schemaFor(options) {
+  if (options.type === "dissertativa") {
+    return `{
+  "questions": [
+    { "number": 1, "topic": "Tema da questão", "statement": "Enunciado da questão", "explanation": "O que se espera que o aluno aborde (para o professor)" }
+  ]
+}`;
+  }
+  if (isTrueFalse(options)) {
+    return `{
+  "questions": [
+    {
+      "number": 1,
+      "topic": "Tema da questão",
+      "statement": "Julgue as afirmações a seguir sobre ...",
+      "items": [
+        { "text": "Afirmação 1", "value": true },
+        { "text": "Afirmação 2", "value": false },
+        { "text": "Afirmação 3", "value": true },
+        { "text": "Afirmação 4", "value": false }
+      ],
+      "alternatives": [
+        { "letter": "A", "text": "V, F, V, F" },
+        { "letter": "B", "text": "F, F, V, V" },
+        { "letter": "C", "text": "V, V, F, F" },
+        { "letter": "D", "text": "F, V, F, V" }
+      ],
+      "correct": "A",
+      "explanation": "Por que cada afirmação é verdadeira ou falsa"
+    }
+  ]
+}`;
+  }
+  return `{
+  "questions": [
+    {
+      "number": 1,
+      "topic": "Tema da questão",
+      "statement": "Enunciado da questão",
+      "alternatives": [
+        { "letter": "A", "text": "..." },
+        { "letter": "B", "text": "..." },
+        { "letter": "C", "text": "..." },
+        { "letter": "D", "text": "..." }
+      ],
+      "correct": "C",
+      "explanation": "Por que a alternativa correta está certa"
+    }
+  ]
+}`;
+}
+
+export function buildActivityPrompt(summaryText, options) {
+  let prompt = `Com base no resumo: "${summaryText}".\nElabore uma atividade escolar no nível ${options.difficulty} seguindo as regras:\n`;
+  if (options.type === "dissertativa") {
+    prompt += `- Crie exatamente ${options.quantity} questões dissertativas.\n- As perguntas devem incentivar o pensamento crítico.\n`;
+    prompt += `- Em "explanation", descreva brevemente o que uma boa resposta deve conter (uso exclusivo do professor).\n`;
+  } else if (isTrueFalse(options)) {
+    prompt += `- Crie EXATAMENTE ${options.quantity} questões independentes de Verdadeiro/Falso no formato de sequência.\n`;
+    prompt += `- PARA CADA UMA DESSAS ${options.quantity} QUESTÕES:\n`;
+    prompt += `    1. Crie 4 afirmações curtas sobre o texto em "items", indicando em "value" se cada uma é verdadeira (true) ou falsa (false).\n`;
+    prompt += `    2. Crie 4 alternativas (A, B, C, D), cada uma com uma sequência de 4 V's e F's (Exemplo: "V, F, V, F").\n`;
+    prompt += `    3. APENAS UMA das 4 alternativas deve conter a sequência CORRETA, de cima para baixo, e "correct" deve ser a letra dela.\n`;
+  } else {
+    prompt += `- Tipo de questão: "${options.questionType}".\n`;
+    prompt += `- Quantidade: Crie exatamente ${options.quantity} questões.\n`;
+    prompt += `- Forneça 4 alternativas (A, B, C, D) para cada questão, com apenas uma correta, indicada em "correct".\n`;
+  }
+  prompt += `- Em "topic", indique em poucas palavras o tema específico de cada questão (ex.: "Frações equivalentes").\n`;
+  prompt += `\nFORMATO DE SAÍDA: Responda APENAS com um objeto JSON válido, sem markdown ou texto adicional, neste formato:\n${schemaFor(options)}\n`;
+  return prompt;
+}
+
+export function buildRetryPrompt(basePrompt, errors) {
+  return `${basePrompt}\nSua resposta anterior foi rejeitada pelos seguintes problemas:\n${errors.map(e => `- ${e}`).join("\n")}\nGere a atividade novamente, corrigindo esses problemas.`;
+}
+
+export function parseActivityResponse(text) {
+  const cleanedText = text.replace(/```json/g, "").replace(/```/g, "").trim();
+  return JSON.parse(cleanedText);
+}
+
+function ehObjeto(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function parseSequence(text) {
+  const values = String(text).toUpperCase().match(/\b[VF]\b/g) || [];
+  return values.join("");
+}
+
+// Devolve a lista de problemas encontrados (vazia se a atividade é válida)
+export function validarAtividade(activity, options) {
+  const errors = [];
+  const questions = activity && Array.isArray(activity.questions) ? activity.questions : null;
+  if (!questions) return ['O JSON deve ter a propriedade "questions" com a lista de questões.'];
+
+  const quantity = Number(options.quantity);
+  if (questions.length !== quantity) {
+    errors.push(`Foram geradas ${questions.length} questões, mas eram esperadas exatamente ${quantity}.`);
+  }
+
+  questions.forEach((q, i) => {
+    const label = `Questão ${i + 1}`;
+    if (!ehObjeto(q)) {
+      errors.push(`${label}: deve ser um objeto com o enunciado e as respostas.`);
+      return;
+    }
+    if (!q.statement || typeof q.statement !== "string") errors.push(`${label}: falta o enunciado ("statement").`);
+    if (options.type === "dissertativa") return;
+
+    const alternatives = Array.isArray(q.alternatives) ? q.alternatives : [];
+    if (alternatives.some(a => !ehObjeto(a))) {
+      errors.push(`${label}: cada alternativa deve ser um objeto com "letter" e "text".`);
+      return;
+    }
+    const letters = alternatives.map(a => String(a.letter || "").trim().toUpperCase());
+    if (alternatives.length !== 4 || LETTERS.some(l => !letters.includes(l))) {
+      errors.push(`${label}: deve ter exatamente 4 alternativas com as letras A, B, C e D.`);
+    }
+    const correct = String(q.correct || "").trim().toUpperCase();
+    if (!LETTERS.includes(correct)) {
+      errors.push(`${label}: a resposta correta ("correct") deve ser uma letra entre A e D.`);
+    }
+
+    if (isTrueFalse(options)) {
+      const items = Array.isArray(q.items) ? q.items : [];
+      if (items.length !== 4 || items.some(item => !ehObjeto(item) || typeof item.value !== "boolean" || !item.text || typeof item.text !== "string")) {
+        errors.push(`${label}: deve ter exatamente 4 afirmações em "items", cada uma com "text" e "value" booleano.`);
+        return;
+      }
+      const expected = items.map(item => (item.value ? "V" : "F")).join("");
+      const matching = alternatives.filter(a => parseSequence(a.text) === expected);
+      if (alternatives.some(a => parseSequence(a.text).length !== 4)) {
+        errors.push(`${label}: cada alternativa deve conter uma sequência de 4 V/F.`);
+      }
+      if (matching.length !== 1) {
+        errors.push(`${label}: exatamente uma alternativa deve conter a sequência correta (${expected.split("").join(", ")}); encontradas ${matching.length}.`);
+      } else if (String(matching[0].letter).trim().toUpperCase() !== correct) {
+        errors.push(`${label}: "correct" é ${correct}, mas a sequência correta está na alternativa ${matching[0].letter}.`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Normaliza o JSON validado: numeração sequencial, letras em maiúsculas e
+// alternativas na ordem A-D
+export function normalizarAtividade(activity, options) {
+  return {
+    type: options.type,
+    questionType: options.questionType || null,
+    difficulty: options.difficulty || null,
+    questions: activity.questions.map((q, i) => {
+      const question = { number: i + 1, statement: q.statement.trim() };
+      if (options.type !== "dissertativa") {
+        if (isTrueFalse(options)) {
+          question.items = q.items.map(item => ({ text: item.text.trim(), value: item.value }));
+        }
+        question.alternatives = [...q.alternatives]
+          .map(a => ({ letter: String(a.letter).trim().toUpperCase(), text: String(a.text).trim() }))
+          .sort((a, b) => a.letter.localeCompare(b.letter));
+        question.correct = String(q.correct).trim().toUpperCase();
+      }
+      if (q.explanation) question.explanation = String(q.explanation).trim();
+      if (q.topic) question.topic = String(q.topic).trim();
+      return question;
+    }),
+  };
+}
+
+export function renderizarAtividade(activity) {
+  return activity.questions.map(q => {
+    const lines = [`${q.number}. ${q.statement}`];
+    if (q.items) {
+      q.items.forEach(item => lines.push(`( ) ${item.text}`));
+      lines.push("Assinale a alternativa que apresenta a sequência correta, de cima para baixo:");
+    }
+    if (q.alternatives) {
+      q.alternatives.forEach(a => lines.push(`${a.letter}) ${a.text}`));
+    }
+    return lines.join("\n");
+  }).join("\n\n");
+}
@@ -0,0 +1,116 @@
+import PDFDocument from "pdfkit";
+import { Document, Packer, Paragraph, TextRun, HeadingLevel } from "docx";
+import { layoutAnswerSheet, FIDUCIAL } from "./answerSheetLayout.js";
+
+// ==========================
+// Exportação de atividades para PDF e DOCX
+// ==========================
+// Três documentos a partir da atividade estruturada (services/activity.js):
+//   activity    -> prova para o aluno
+//   answerKey   -> gabarito do professor, com as explicações
+//   answerSheet -> folha de respostas com bolhas (só PDF: a geometria precisa
+//                  ser exata para a leitura automática em /start-verification)
+
+export const DOCUMENTS = ["activity", "answerKey", "answerSheet"];
+export const FORMATS = ["pdf", "docx"];
+
+function sequencia(items) {
+  return items.map(item => (item.value ? "V" : "F")).join(", ");
+}
+
+// Linhas de texto de cada documento, compartilhadas entre PDF e DOCX
+function linhasDaAtividade(activity) {
+  return activity.questions.map(q => {
+    const lines = [];
+    (q.items || []).forEach(item => lines.push(`( ) ${item.text}`));
+    if (q.items) lines.push("Assinale a alternativa que apresenta a sequência correta, de cima para baixo:");
+    (q.alternatives || []).forEach(a => lines.push(`${a.letter}) ${a.text}`));
+    return { title: `${q.number}. ${q.statement}`, lines };
+  });
+}
+
+function linhasDoGabarito(activity) {
+  return activity.questions.map(q => {
+    const lines = [];
+    if (q.correct) lines.push(`Resposta: ${q.correct}${q.items ? ` (${sequencia(q.items)})` : ""}`);
+    if (q.explanation) lines.push(q.explanation);
+    return { title: `${q.number}. ${q.statement}`, lines };
+  });
+}
+
+function pdfToBuffer(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 56 });
+    const buffers = [];
+    doc.on("data", chunk => buffers.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(buffers)));
+    doc.on("error", reject);
+    draw(doc);
+    doc.end();
+  });
+}
+
+function pdfTexto(doc, heading, subtitle, blocks) {
+  doc.font("Helvetica-Bold").fontSize(16).text(heading, { align: "center" });
+  if (subtitle) doc.moveDown(0.5).font("Helvetica").fontSize(11).text(subtitle);
+  doc.moveDown();
+  for (const block of blocks) {
+    doc.font("Helvetica-Bold").fontSize(11).text(block.title, { paragraphGap: 4 });
+    doc.font("Helvetica").fontSize(11);
+    block.lines.forEach(line => doc.text(line, { indent: 14, paragraphGap: 2 }));
+    doc.moveDown();
+  }
+}
+
+function pdfFolhaDeRespostas(doc, activity, title) {
+  const layout = layoutAnswerSheet(activity.questions.length);
+  const { header } = layout;
+
+  doc.fillColor("black");
+  layout.fiducials.forEach(({ x, y }) => {
+    doc.rect(x - FIDUCIAL.size / 2, y - FIDUCIAL.size / 2, FIDUCIAL.size, FIDUCIAL.size).fill();
+  });
+
+  doc.font("Helvetica-Bold").fontSize(14).text(`Folha de respostas — ${title}`, header.left, header.top, { width: header.width, align: "center" });
+  doc.font("Helvetica").fontSize(11);
+  doc.text("Nome: ______________________________________________________", header.left, header.top + 35);
+  doc.text("Matrícula: ____________________     Turma: ______________", header.left, header.top + 60);
+  doc.fontSize(9).fillColor("#444").text(
+    "Preencha completamente apenas um círculo por questão, com caneta azul ou preta. Não rasure e não dobre a folha.",
+    header.left, header.top + 90, { width: header.width }
+  );
+
+  for (const row of layout.rows) {
+    doc.fillColor("black").font("Helvetica-Bold").fontSize(10)
+      .text(`${row.q}.`, row.label.x, row.label.y - 5, { width: 26, align: "right", lineBreak: false });
+    for (const bubble of row.bubbles) {
+      doc.lineWidth(1).strokeColor("black").circle(bubble.x, bubble.y, bubble.r).stroke();
+      doc.fillColor("#999").font("Helvetica").fontSize(7)
+        .text(bubble.letter, bubble.x - bubble.r, bubble.y - 3, { width: bubble.r * 2, align: "center", lineBreak: false });
+    }
+  }
+}
+
+export function gerarPdf(activity, documentType, { title = "Atividade" } = {}) {
+  return pdfToBuffer(doc => {
+    if (documentType === "answerSheet") return pdfFolhaDeRespostas(doc, activity, title);
+    if (documentType === "answerKey") return pdfTexto(doc, `Gabarito — ${title}`, null, linhasDoGabarito(activity));
+    return pdfTexto(doc, title, "Nome: ______________________________________   Data: ___/___/______", linhasDaAtividade(activity));
+  });
+}
+
+export function gerarDocx(activity, documentType, { title = "Atividade" } = {}) {
+  const heading = documentType === "answerKey" ? `Gabarito — ${title}` : title;
+  const blocks = documentType === "answerKey" ? linhasDoGabarito(activity) : linhasDaAtividade(activity);
+
+  const children = [new Paragraph({ text: heading, heading: HeadingLevel.HEADING_1 })];
+  if (documentType === "activity") {
+    children.push(new Paragraph({ text: "Nome: ______________________________________   Data: ___/___/______", spacing: { after: 240 } }));
+  }
+  for (const block of blocks) {
+    children.push(new Paragraph({ children: [new TextRun({ text: block.title, bold: true })], spacing: { before: 240, after: 80 } }));
+    block.lines.forEach(line => children.push(new Paragraph({ text: line, indent: { left: 360 } })));
+  }
+
+  return Packer.toBuffer(new Document({ sections: [{ children }] }));
+}
@@ -0,0 +1,69 @@
+// ==========================
+// Geometria da folha de respostas (cartão de bolhas)
+// ==========================
+// Usada tanto para desenhar o PDF quanto para ler a folha fotografada. As
+// coordenadas estão em pontos PDF (A4, origem no canto superior esquerdo).
+// Os quatro marcadores pretos nos cantos servem de referência para localizar
+// as bolhas na foto, independentemente de rotação e perspectiva.
+
+export const PAGE = { width: 595.28, height: 841.89 };
+export const LETTERS = ["A", "B", "C", "D"];
+
+export const FIDUCIAL = { size: 24, inset: 28 };
+
+const GRID = {
+  top: 250,
+  left: 60,
+  rowHeight: 24,
+  rowsPerColumn: 20,
+  columnWidth: 160,
+  numberWidth: 34,
+  bubbleSpacing: 26,
+  bubbleRadius: 8,
+};
+
+export const MAX_QUESTIONS = GRID.rowsPerColumn * 3;
+
+// Centros dos marcadores: superior esquerdo, superior direito,
+// inferior direito, inferior esquerdo
+export function fiducialCenters() {
+  const { size, inset } = FIDUCIAL;
+  const near = inset + size / 2;
+  return [
+    { x: near, y: near },
+    { x: PAGE.width - near, y: near },
+    { x: PAGE.width - near, y: PAGE.height - near },
+    { x: near, y: PAGE.height - near },
+  ];
+}
+
+export function layoutAnswerSheet(totalQuestions) {
+  if (totalQuestions < 1 || totalQuestions > MAX_QUESTIONS) {
+    throw new Error(`A folha de respostas comporta de 1 a ${MAX_QUESTIONS} questões.`);
+  }
+
+  const rows = [];
+  for (let i = 0; i < totalQuestions; i++) {
+    const column = Math.floor(i / GRID.rowsPerColumn);
+    const row = i % GRID.rowsPerColumn;
+    const x = GRID.left + column * GRID.columnWidth;
+    const y = GRID.top + row * GRID.rowHeight;
+    rows.push({
+      q: i + 1,
+      label: { x, y },
+      bubbles: LETTERS.map((letter, j) => ({
+        letter,
+        x: x + GRID.numberWidth + j * GRID.bubbleSpacing,
+        y,
+        r: GRID.bubbleRadius,
+      })),
+    });
+  }
+
+  return {
+    page: PAGE,
+    fiducials: fiducialCenters(),
+    header: { top: 80, left: 60, width: PAGE.width - 120, height: 130 },
+    rows,
+  };
+}
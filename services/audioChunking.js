@@ -0,0 +1,125 @@
+import ffmpeg from "fluent-ffmpeg";
+
+// ==========================
+// Divisão do áudio nas pausas (silencedetect)
+// ==========================
+// Em vez de cortar a cada N segundos exatos, procura o silêncio mais próximo
+// de cada ponto de corte dentro de uma janela. Opcionalmente cada parte
+// avança alguns segundos sobre a seguinte; o texto repetido nessa sobreposição
+// é removido na hora de juntar as partes (removerSobreposicao).
+
+function parseTimemark(timemark) {
+  const [h, m, s] = timemark.split(":").map(Number);
+  return h * 3600 + m * 60 + s;
+}
+
+// Devolve { duration, silences: [{ start, end }] } em segundos
+export function detectarSilencios(filePath, { noiseDb = -30, minSilence = 0.5 } = {}) {
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let duration = 0;
+    let silenceStart = null;
+
+    ffmpeg(filePath)
+      .audioFilters(`silencedetect=noise=${noiseDb}dB:d=${minSilence}`)
+      .format("null")
+      .output("-")
+      .on("codecData", data => {
+        if (data.duration) duration = parseTimemark(data.duration);
+      })
+      .on("stderr", line => {
+        const start = line.match(/silence_start: (-?[\d.]+)/);
+        if (start) silenceStart = Math.max(0, Number(start[1]));
+        const end = line.match(/silence_end: ([\d.]+)/);
+        if (end && silenceStart !== null) {
+          silences.push({ start: silenceStart, end: Number(end[1]) });
+          silenceStart = null;
+        }
+      })
+      .on("end", () => {
+        if (silenceStart !== null) silences.push({ start: silenceStart, end: duration });
+        resolve({ duration, silences });
+      })
+      .on("error", reject)
+      .run();
+  });
+}
+
+// Pontos de corte próximos de cada múltiplo de `target`, preferindo o meio de
+// um silêncio a até `window` segundos de distância
+export function calcularPontosDeCorte(duration, silences, { target = 120, window = 15 } = {}) {
+  const cuts = [];
+  let last = 0;
+  for (let ideal = target; ideal < duration - 1; ideal = last + target) {
+    const candidates = silences
+      .map(s => (s.start + s.end) / 2)
+      .filter(mid => Math.abs(mid - ideal) <= window && mid > last + 1 && mid < duration - 1);
+    const cut = candidates.length > 0
+      ? candidates.reduce((best, mid) => (Math.abs(mid - ideal) < Math.abs(best - ideal) ? mid : best))
+      : ideal;
+    cuts.push(Number(cut.toFixed(3)));
+    last = cut;
+  }
+  return cuts;
+}
+
+export function extrairTrecho(filePath, outputPath, start, length) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+      .setStartTime(start)
+      .setDuration(length)
+      .outputOptions(["-acodec libmp3lame", "-ab 128k", "-ar 44100"])
+      .output(outputPath)
+      .on("end", () => resolve())
+      .on("error", reject)
+      .run();
+  });
+}
+
+// Divide o áudio e devolve as partes: [{ file, start, end }]. `start`/`end`
+// são os limites sem sobreposição; o arquivo pode ir até `end + overlap`.
+export async function dividirNasPausas(filePath, outputDir, options = {}) {
+  const { target = 120, window = 15, overlap = 0, noiseDb, minSilence } = options;
+  const { duration, silences } = await detectarSilencios(filePath, { noiseDb, minSilence });
+  const bounds = [0, ...calcularPontosDeCorte(duration, silences, { target, window }), duration];
+
+  const chunks = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const file = `chunk_${String(i).padStart(3, "0")}.mp3`;
+    const start = bounds[i];
+    const end = bounds[i + 1];
+    await extrairTrecho(filePath, `${outputDir}/${file}`, start, Math.min(end + overlap, duration) - start);
+    chunks.push({ file, start, end });
+  }
+  return chunks;
+}
+
+const normalizar = word => word.toLowerCase().normalize("NFD").replace(/[^\p{L}\p{N}]/gu, "");
+
+// Remove do início de `segments` as palavras que repetem o final de `previousText`
+// (a sobreposição entre partes). Só considera repetições de pelo menos
+// `minWords` palavras, para não cortar coincidências curtas.
+export function removerSobreposicao(previousText, segments, { maxWords = 40, minWords = 3 } = {}) {
+  const tail = previousText.split(/\s+/).filter(Boolean).slice(-maxWords).map(normalizar);
+  const headWords = segments.flatMap(seg => seg.text.split(/\s+/).filter(Boolean));
+  const head = headWords.slice(0, maxWords).map(normalizar);
+
+  let repeated = 0;
+  for (let k = Math.min(tail.length, head.length); k >= minWords; k--) {
+    if (tail.slice(-k).join(" ") === head.slice(0, k).join(" ")) {
+      repeated = k;
+      break;
+    }
+  }
+  if (repeated === 0) return segments;
+
+  const result = [];
+  let toDrop = repeated;
+  for (const seg of segments) {
+    const words = seg.text.split(/\s+/).filter(Boolean);
+    const dropped = Math.min(toDrop, words.length);
+    toDrop -= dropped;
+    if (dropped < words.length) result.push({ ...seg, text: words.slice(dropped).join(" ") });
+  }
+  return result;
+}
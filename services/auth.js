@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { createRecordStore } from "./recordStore.js";
+
+// ==========================
+// Usuários, tokens de API e cotas de uso
+// ==========================
+// Cada usuário fica em <dir>/<userId>.json. Os tokens são guardados só como
+// hash SHA-256; o valor em texto aparece uma única vez, ao ser criado. O
+// ADMIN_TOKEN (variável de ambiente) autentica um administrador fixo, usado
+// para cadastrar os primeiros usuários.
+//
+// As cotas são diárias (dia UTC) e contadas em três unidades: minutos de
+// áudio transcritos, folhas/provas corrigidas e atividades geradas. Limite
+// 0 = sem limite; administradores não têm cota.
+
+export const ROLES = ["admin", "user"];
+export const QUOTA_UNITS = {
+  audioMinutes: "minutos de áudio",
+  sheets: "provas corrigidas",
+  activities: "atividades geradas",
+};
+
+const TOKEN_PREFIX = "vt_";
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function hoje() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Dados do usuário sem os hashes dos tokens
+export function usuarioPublico(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    disabled: user.disabled === true,
+    quota: user.quota,
+    usage: user.usage && user.usage.day === hoje() ? user.usage : { day: hoje(), audioMinutes: 0, sheets: 0, activities: 0 },
+    tokens: (user.tokens || []).map(({ hash, ...token }) => token),
+    createdAt: user.createdAt,
+  };
+}
+
+// Dono de um registro (job, turma, avaliação): o próprio usuário ou um
+// administrador. Registros sem dono (criados antes da autenticação) só para admin.
+export function podeAcessar(user, owner) {
+  return Boolean(user) && (user.role === "admin" || (owner !== undefined && owner !== null && owner === user.id));
+}
+
+// Valida e converte os limites para número
+function validarCota(quota) {
+  if (quota === undefined) return {};
+  if (!quota || typeof quota !== "object") throw authError(400, '"quota" deve ser um objeto.');
+  const normalized = {};
+  for (const [unit, limit] of Object.entries(quota)) {
+    if (!Object.hasOwn(QUOTA_UNITS, unit)) throw authError(400, `Cota desconhecida: ${unit}. Use: ${Object.keys(QUOTA_UNITS).join(", ")}.`);
+    if (!(Number(limit) >= 0)) throw authError(400, `A cota ${unit} deve ser um número maior ou igual a zero.`);
+    normalized[unit] = Number(limit);
+  }
+  return normalized;
+}
+
+export function createUserStore({ dir = "data/users", adminToken = "", defaultQuota = {} } = {}) {
+  const users = createRecordStore(dir, { label: "AUTH" });
+  const byTokenHash = new Map();
+
+  const admin = { id: "admin", name: "Administrador", role: "admin", quota: {}, tokens: [] };
+  const adminHash = adminToken ? hashToken(adminToken) : null;
+
+  // Índice hash do token → id do usuário
+  function indexar(user) {
+    for (const [hash, userId] of byTokenHash) {
+      if (userId === user.id) byTokenHash.delete(hash);
+    }
+    (user.tokens || []).forEach(token => byTokenHash.set(token.hash, user.id));
+  }
+
+  users.values().forEach(indexar);
+  console.log(`[AUTH] ${users.size} usuários carregados de ${dir}.`);
+
+  function save(user) {
+    const saved = users.save(user);
+    indexar(saved);
+    return saved;
+  }
+
+  function getUser(userId) {
+    const user = users.get(userId);
+    if (!user) throw authError(404, "Usuário não encontrado.");
+    return user;
+  }
+
+  // Devolve o usuário dono do token, ou null
+  function autenticar(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    if (adminHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(adminHash))) return admin;
+    const user = users.get(byTokenHash.get(hash));
+    if (!user || user.disabled) return null;
+
+    // Evita regravar o arquivo a cada requisição
+    const entry = user.tokens.find(t => t.hash === hash);
+    if (!entry.lastUsedAt || Date.now() - entry.lastUsedAt > 60 * 1000) {
+      entry.lastUsedAt = Date.now();
+      users.persist(user);
+    }
+    return user;
+  }
+
+  function novoToken(label) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+    return {
+      token,
+      entry: { id: uuidv4(), label: typeof label === "string" && label.trim() ? label.trim() : "padrão", hash: hashToken(token), createdAt: Date.now(), lastUsedAt: null },
+    };
+  }
+
+  function listUsers() {
+    return users.values().map(usuarioPublico);
+  }
+
+  // Cria o usuário com um primeiro token; devolve { user, token }
+  function createUser({ name, role = "user", quota } = {}) {
+    if (typeof name !== "string" || !name.trim()) throw authError(400, "Informe o nome do usuário.");
+    if (!ROLES.includes(role)) throw authError(400, `Papel inválido. Use: ${ROLES.join(", ")}.`);
+    const limits = validarCota(quota);
+    const { token, entry } = novoToken("padrão");
+    const user = save({
+      id: uuidv4(),
+      name: name.trim(),
+      role,
+      disabled: false,
+      quota: { ...defaultQuota, ...limits },
+      usage: { day: hoje(), audioMinutes: 0, sheets: 0, activities: 0 },
+      tokens: [entry],
+      createdAt: Date.now(),
+    });
+    return { user: usuarioPublico(user), token };
+  }
+
+  function updateUser(userId, { name, role, quota, disabled } = {}) {
+    const user = getUser(userId);
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) throw authError(400, "Informe o nome do usuário.");
+    if (role !== undefined && !ROLES.includes(role)) throw authError(400, `Papel inválido. Use: ${ROLES.join(", ")}.`);
+    if (disabled !== undefined && typeof disabled !== "boolean") throw authError(400, '"disabled" deve ser true ou false.');
+    const limits = validarCota(quota);
+    return usuarioPublico(save({
+      ...user,
+      ...(name !== undefined ? { name: name.trim() } : {}),
+      ...(role !== undefined ? { role } : {}),
+      ...(disabled !== undefined ? { disabled } : {}),
+      ...(quota !== undefined ? { quota: { ...user.quota, ...limits } } : {}),
+    }));
+  }
+
+  function createToken(userId, label) {
+    const user = getUser(userId);
+    const { token, entry } = novoToken(label);
+    save({ ...user, tokens: [...user.tokens, entry] });
+    const { hash, ...info } = entry;
+    return { ...info, token };
+  }
+
+  function revokeToken(userId, tokenId) {
+    const user = getUser(userId);
+    if (!user.tokens.some(t => t.id === tokenId)) throw authError(404, "Token não encontrado.");
+    save({ ...user, tokens: user.tokens.filter(t => t.id !== tokenId) });
+  }
+
+  // Confere a cota e registra o uso; lança 429 se o pedido passar do limite do
+  // dia. Com `registrar: false`, só confere (o uso é registrado depois)
+  function consumir(user, unit, amount = 1, { registrar = true } = {}) {
+    if (!user || user.role === "admin" || !users.has(user.id)) return;
+    const current = users.get(user.id);
+    const usage = current.usage && current.usage.day === hoje()
+      ? { ...current.usage }
+      : { day: hoje(), audioMinutes: 0, sheets: 0, activities: 0 };
+    const limit = Number(current.quota[unit] || 0);
+    if (limit > 0 && usage[unit] + amount > limit) {
+      throw authError(429, `Cota diária de ${QUOTA_UNITS[unit]} excedida: ${usage[unit]} de ${limit} usados hoje, este pedido precisa de ${amount}.`);
+    }
+    if (!registrar) return;
+    usage[unit] += amount;
+    save({ ...current, usage });
+  }
+
+  return { autenticar, getUser, listUsers, createUser, updateUser, createToken, revokeToken, consumir };
+}
+
+const LOCAL_USER = { id: "local", name: "Local", role: "admin" };
+
+// Usuário dono do token, ou null. Com a autenticação desligada, toda
+// requisição age como administrador local. Usada também pela conexão
+// WebSocket da transcrição ao vivo, que não passa pelo middleware.
+export function usuarioDoToken(store, token, { enabled = true } = {}) {
+  return enabled ? store.autenticar(token) : LOCAL_USER;
+}
+
+// Middleware: aceita "Authorization: Bearer <token>" ou ?access_token= (para
+// EventSource e links de download, que não enviam cabeçalhos).
+export function authMiddleware(store, options) {
+  return (req, res, next) => {
+    const header = req.get("Authorization") || "";
+    const token = header.startsWith("Bearer ") ? header.slice("Bearer ".length).trim() : req.query.access_token;
+    // ?access_token repetido chega como lista: não é um token
+    const user = usuarioDoToken(store, typeof token === "string" ? token : null, options);
+    if (!user) {
+      return res.status(401).json({ error: "Autenticação necessária. Envie um token válido em Authorization: Bearer <token>." });
+    }
+    req.user = user;
+    next();
+  };
+}
@@ -0,0 +1,106 @@
+import fs from "fs";
+import path from "path";
+import * as mupdf from "mupdf";
+
+// ==========================
+// Provas dissertativas com várias páginas (imagens e PDFs)
+// ==========================
+// Cada arquivo enviado vira uma lista de páginas ({ path, mimetype, source, page });
+// PDFs são convertidos em uma imagem PNG por página. Depois as páginas são
+// agrupadas por aluno, e cada grupo é corrigido como uma única prova.
+
+export const AGRUPAMENTOS = ["arquivo", "padrao", "nome"];
+
+const PDF_SCALE = 2; // 72 dpi × 2 = 144 dpi, suficiente para letra manuscrita
+
+export function isPdf(filePath) {
+  const header = Buffer.alloc(5);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return header.toString("latin1") === "%PDF-";
+}
+
+// Devolve as páginas de um arquivo enviado (multer). Imagens passam direto.
+export function paginasDoArquivo(file, outputDir, { maxPages = 50 } = {}) {
+  const source = file.originalname || file.filename;
+  if (!isPdf(file.path)) {
+    return [{ path: file.path, mimetype: file.mimetype, source, page: 1 }];
+  }
+
+  let doc;
+  try {
+    doc = mupdf.Document.openDocument(fs.readFileSync(file.path), "application/pdf");
+  } catch (e) {
+    throw new Error(`O PDF ${source} está corrompido ou protegido e não pôde ser aberto.`);
+  }
+  const total = doc.countPages();
+  if (total === 0) throw new Error(`O PDF ${source} não tem páginas.`);
+  if (total > maxPages) throw new Error(`O PDF ${source} tem ${total} páginas; o limite é ${maxPages}.`);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const pages = [];
+  for (let i = 0; i < total; i++) {
+    const pixmap = doc.loadPage(i).toPixmap(mupdf.Matrix.scale(PDF_SCALE, PDF_SCALE), mupdf.ColorSpace.DeviceRGB, false, true);
+    const pagePath = path.join(outputDir, `${path.basename(file.path)}_p${i + 1}.png`);
+    fs.writeFileSync(pagePath, pixmap.asPNG());
+    pages.push({ path: pagePath, mimetype: "image/png", source, page: i + 1 });
+  }
+  return pages;
+}
+
+export function rotuloDaPagina(page) {
+  return page.page > 1 || !/\.(png|jpe?g|webp|gif|heic)$/i.test(page.source) ? `${page.source} (p. ${page.page})` : page.source;
+}
+
+function normalizarNome(nome) {
+  return nome.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[\s_.-]+/g, " ").trim();
+}
+
+// "joao_p1.jpg", "joao-pag2.png", "Maria Souza 3.jpg" → { name: "joao" | "Maria Souza", key: "joao" | "maria souza", page: 1 | 2 | 3 }
+export function chaveDoArquivo(fileName) {
+  const base = path.parse(fileName).name;
+  const match = base.match(/^(.+?)(?:[\s_.-]+(?:p|pg|pag|pagina|página|page|folha|fl)?|(?:p|pg|pag|pagina|página|page|folha|fl))[\s_.-]*(\d{1,3})$/i);
+  if (!match) return { name: base, key: normalizarNome(base), page: 0 };
+  return { name: match[1], key: normalizarNome(match[1]), page: Number(match[2]) };
+}
+
+// Agrupa as páginas em provas: [{ label, student, pages }]. As páginas trazem
+// `fileIndex`, a posição do arquivo no envio.
+//   arquivo: cada arquivo enviado é uma prova (um PDF pode ter várias páginas),
+//            mesmo que outro arquivo tenha o mesmo nome ("image.jpg" do celular)
+//   padrao:  arquivos com o mesmo nome antes do número da página ("joao_p1", "joao_p2")
+//   nome:    `names[i]` é o nome lido na página i; páginas sem nome continuam a prova anterior
+export function agruparPaginas(pages, agrupamento = "arquivo", names = []) {
+  const groups = new Map();
+  const add = (key, label, student, page, order) => {
+    if (!groups.has(key)) groups.set(key, { label, student, pages: [] });
+    groups.get(key).pages.push({ ...page, order });
+  };
+
+  if (agrupamento === "padrao") {
+    pages.forEach((page, i) => {
+      const { name, key, page: number } = chaveDoArquivo(page.source);
+      add(key || page.source, name || page.source, null, page, number * 1000 + page.page + i / 1e6);
+    });
+  } else if (agrupamento === "nome") {
+    let current = null;
+    pages.forEach((page, i) => {
+      const name = typeof names[i] === "string" && names[i].trim() ? names[i].trim() : null;
+      if (name) current = { key: normalizarNome(name), name };
+      // Páginas antes do primeiro nome lido ficam como uma prova sem nome
+      const key = current ? current.key : "";
+      add(key, current ? current.name : rotuloDaPagina(page), current ? current.name : null, page, i);
+    });
+  } else {
+    pages.forEach((page, i) => add(page.fileIndex ?? page.source, page.source, null, page, i));
+  }
+
+  return [...groups.values()].map(group => ({
+    ...group,
+    pages: group.pages.sort((a, b) => a.order - b.order).map(({ order, ...page }) => page),
+  }));
+}
@@ -0,0 +1,356 @@
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { createRecordStore } from "./recordStore.js";
+
+// ==========================
+// Diário de notas: turmas, alunos, avaliações e resultados
+// ==========================
+// Diferente dos jobs (que expiram), turmas e avaliações ficam gravadas até
+// serem apagadas, um arquivo JSON por registro em <dir>/classes e
+// <dir>/assessments. Ao terminar uma correção ligada a uma avaliação, cada
+// resultado é associado a um aluno da turma pela matrícula ou pelo nome lido
+// na prova (ou no nome do arquivo).
+//
+// Os erros de validação carregam `status` (HTTP 4xx) para o endpoint repassar.
+
+export const ASSESSMENT_TYPES = ["objetiva", "dissertativa"];
+
+function gradebookError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizarTexto(texto) {
+  return String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function distancia(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// Semelhança entre dois nomes (0 a 1): todos os nomes lidos contidos no nome
+// da chamada ("Maria Silva" ⊂ "Maria da Silva Souza") contam como 1; senão,
+// 1 - distância de edição relativa (erros de leitura da letra manuscrita).
+function semelhancaDeNomes(lido, cadastrado) {
+  const a = normalizarTexto(lido);
+  const b = normalizarTexto(cadastrado);
+  if (!a || !b) return 0;
+  const tokensLidos = a.split(" ");
+  const tokensCadastrados = b.split(" ");
+  if (tokensLidos.length >= 2 && tokensLidos.every(t => tokensCadastrados.includes(t))) return 1;
+  return 1 - distancia(a, b) / Math.max(a.length, b.length);
+}
+
+const SEMELHANCA_MINIMA = 0.85;
+
+// Encontra o aluno da turma: { student, match: "id" | "name" | "fuzzy" | "arquivo" } ou { student: null, match: null }
+export function identificarAluno(roster, { id, name, fileName } = {}) {
+  const idLido = normalizarTexto(id).replace(/ /g, "");
+  if (idLido) {
+    const student = roster.find(s => normalizarTexto(s.id).replace(/ /g, "") === idLido);
+    if (student) return { student, match: "id" };
+  }
+
+  const nomeLido = normalizarTexto(name);
+  if (nomeLido) {
+    const student = roster.find(s => normalizarTexto(s.name) === nomeLido);
+    if (student) return { student, match: "name" };
+  }
+
+  // Semelhança só vale se um único aluno da turma passar do limite
+  const parecido = texto => {
+    const candidatos = roster.filter(s => semelhancaDeNomes(texto, s.name) >= SEMELHANCA_MINIMA);
+    return candidatos.length === 1 ? candidatos[0] : null;
+  };
+  if (nomeLido) {
+    const student = parecido(name);
+    if (student) return { student, match: "fuzzy" };
+  }
+  if (fileName) {
+    const student = parecido(path.parse(fileName).name);
+    if (student) return { student, match: "arquivo" };
+  }
+  return { student: null, match: null };
+}
+
+// Devolve a lista de problemas da chamada (vazia se válida)
+export function validarAlunos(students) {
+  if (!Array.isArray(students)) return ['"students" deve ser uma lista de { id, name }.'];
+  const errors = [];
+  const ids = new Set();
+  students.forEach((s, i) => {
+    const label = `Aluno ${i + 1}`;
+    if (!s || typeof s.name !== "string" || !s.name.trim()) errors.push(`${label}: falta o nome ("name").`);
+    if (!s || s.id === undefined || s.id === null || !String(s.id).trim()) {
+      errors.push(`${label}: falta a matrícula ("id").`);
+      return;
+    }
+    const id = String(s.id).trim();
+    if (ids.has(id)) errors.push(`${label}: a matrícula ${id} está repetida.`);
+    ids.add(id);
+  });
+  return errors;
+}
+
+function normalizarAlunos(students) {
+  return students.map(s => ({ id: String(s.id).trim(), name: s.name.trim() }));
+}
+
+// Converte um resultado de correção (múltipla escolha ou dissertativa) em um
+// lançamento do diário, já associado ao aluno da turma. `resultIndex` é a
+// posição do resultado em job.results, para aplicar revisões depois.
+function lancamentoDoResultado(roster, jobId, resultIndex, result, type) {
+  const read = type === "objetiva"
+    ? { name: result.student?.name || null, id: result.student?.id || null }
+    : { name: result.student || null, id: null };
+  const { student, match } = identificarAluno(roster, { ...read, fileName: result.fileName });
+
+  const entry = {
+    id: uuidv4(),
+    jobId,
+    resultIndex,
+    fileName: result.fileName,
+    studentId: student ? student.id : null,
+    studentName: student ? student.name : read.name,
+    match,
+    read,
+    reviewed: Boolean(result.review && result.review.reviewedAt),
+    gradedAt: Date.now(),
+  };
+
+  if (type === "objetiva") {
+    const [score, maxScore] = String(result.grade).split("/").map(Number);
+    return {
+      ...entry,
+      score: result.error ? null : score,
+      maxScore,
+      invalidated: result.invalidated === true,
+      error: result.error || null,
+      method: result.method || null,
+      details: result.details || [],
+    };
+  }
+  const nota = Number(result.nota);
+  return {
+    ...entry,
+    score: Number.isFinite(nota) ? nota : null,
+    maxScore: result.notaMaxima ?? null,
+    error: Number.isFinite(nota) ? null : result.feedback,
+    feedback: result.feedback,
+    questions: result.questions || [],
+  };
+}
+
+// Estatísticas da avaliação: resumo das notas e, por questão, taxa de acerto e
+// distribuição das marcações (objetiva) ou média de pontos (dissertativa)
+export function estatisticas(assessment) {
+  const graded = assessment.results.filter(r => r.score !== null && !r.invalidated);
+  const scores = graded.map(r => r.score);
+  const round = value => Math.round(value * 1000) / 1000;
+  const summary = {
+    results: assessment.results.length,
+    graded: graded.length,
+    invalidated: assessment.results.filter(r => r.invalidated).length,
+    errors: assessment.results.filter(r => r.score === null && !r.invalidated).length,
+    average: scores.length > 0 ? round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+    min: scores.length > 0 ? Math.min(...scores) : null,
+    max: scores.length > 0 ? Math.max(...scores) : null,
+  };
+
+  if (assessment.type === "objetiva") {
+    const answerKey = assessment.answerKey || [];
+    const questions = answerKey.map((correct, i) => {
+      const marks = graded.map(r => r.details.find(d => d.q === i + 1)).filter(Boolean);
+      const distribution = { A: 0, B: 0, C: 0, D: 0, blank: 0, multiple: 0, unread: 0 };
+      marks.forEach(d => {
+        const key = d.marked === null || d.marked === undefined ? "unread" : d.marked;
+        distribution[key] = (distribution[key] || 0) + 1;
+      });
+      const hits = marks.filter(d => d.correct).length;
+      // Distratores: alternativas erradas, da mais escolhida para a menos
+      const distractors = Object.keys(distribution)
+        .filter(letter => letter.length === 1 && letter !== correct)
+        .map(letter => ({ letter, count: distribution[letter], rate: marks.length > 0 ? round(distribution[letter] / marks.length) : null }))
+        .sort((a, b) => b.count - a.count);
+      return {
+        q: i + 1,
+        correct,
+        answered: marks.length,
+        hitRate: marks.length > 0 ? round(hits / marks.length) : null,
+        distribution,
+        distractors,
+      };
+    });
+    return { summary, questions };
+  }
+
+  const numbers = [...new Set(graded.flatMap(r => r.questions.map(q => q.number)))].sort((a, b) => a - b);
+  const questions = numbers.map(number => {
+    const answers = graded.map(r => r.questions.find(q => q.number === number)).filter(Boolean);
+    const maxPoints = answers[0].maxPoints;
+    const average = answers.reduce((sum, q) => sum + q.points, 0) / answers.length;
+    return {
+      number,
+      maxPoints,
+      average: round(average),
+      rate: maxPoints > 0 ? round(average / maxPoints) : null,
+      criteria: answers[0].criteria.map((c, j) => {
+        const points = answers.map(q => q.criteria[j]?.points || 0);
+        const criterionAverage = points.reduce((a, b) => a + b, 0) / points.length;
+        return {
+          description: c.description,
+          maxPoints: c.maxPoints,
+          average: round(criterionAverage),
+          rate: c.maxPoints > 0 ? round(criterionAverage / c.maxPoints) : null,
+        };
+      }),
+    };
+  });
+  return { summary, questions };
+}
+
+export function createGradebook({ dir = "data/gradebook" } = {}) {
+  const classStore = createRecordStore(path.join(dir, "classes"), { label: "DIÁRIO" });
+  const assessmentStore = createRecordStore(path.join(dir, "assessments"), { label: "DIÁRIO" });
+  console.log(`[DIÁRIO] ${classStore.size} turmas e ${assessmentStore.size} avaliações carregadas de ${dir}.`);
+
+  function getClass(classId) {
+    const classe = classStore.get(classId);
+    if (!classe) throw gradebookError(404, "Turma não encontrada.");
+    return classe;
+  }
+
+  // Sem `owner`, lista as turmas de todos os usuários
+  function listClasses(owner) {
+    return classStore.values().filter(c => owner === undefined || c.owner === owner).map(c => ({
+      id: c.id,
+      name: c.name,
+      students: c.students.length,
+      createdAt: c.createdAt,
+    }));
+  }
+
+  function createClass({ name, students = [] } = {}, owner = null) {
+    if (typeof name !== "string" || !name.trim()) throw gradebookError(400, "Informe o nome da turma.");
+    const errors = validarAlunos(students);
+    if (errors.length > 0) throw Object.assign(gradebookError(400, "Lista de alunos inválida."), { details: errors });
+    return classStore.save({ id: uuidv4(), owner, name: name.trim(), students: normalizarAlunos(students), createdAt: Date.now() });
+  }
+
+  function setStudents(classId, students) {
+    const classe = getClass(classId);
+    const errors = validarAlunos(students);
+    if (errors.length > 0) throw Object.assign(gradebookError(400, "Lista de alunos inválida."), { details: errors });
+    return classStore.save({ ...classe, students: normalizarAlunos(students) });
+  }
+
+  function getAssessment(assessmentId) {
+    const assessment = assessmentStore.get(assessmentId);
+    if (!assessment) throw gradebookError(404, "Avaliação não encontrada.");
+    return assessment;
+  }
+
+  function listAssessments(classId) {
+    return assessmentStore.values()
+      .filter(a => a.classId === classId)
+      .map(a => ({ id: a.id, title: a.title, type: a.type, results: a.results.length, createdAt: a.createdAt }));
+  }
+
+  function createAssessment(classId, { title, type } = {}) {
+    getClass(classId);
+    if (typeof title !== "string" || !title.trim()) throw gradebookError(400, "Informe o título da avaliação.");
+    if (!ASSESSMENT_TYPES.includes(type)) throw gradebookError(400, `Tipo de avaliação inválido. Use: ${ASSESSMENT_TYPES.join(", ")}.`);
+    return assessmentStore.save({
+      id: uuidv4(),
+      classId,
+      title: title.trim(),
+      type,
+      answerKey: null,
+      results: [],
+      createdAt: Date.now(),
+    });
+  }
+
+  // Lança os resultados de um job de correção na avaliação. Um aluno que já
+  // tinha nota fica com a mais recente; resultados não identificados são
+  // acrescentados para o professor associar depois.
+  function registrarResultados(assessmentId, { jobId, answerKey, firstIndex = 0 }, results) {
+    const assessment = getAssessment(assessmentId);
+    const { students } = getClass(assessment.classId);
+    const entries = results.map((result, i) => lancamentoDoResultado(students, jobId, firstIndex + i, result, assessment.type));
+
+    // Duas provas do mesmo lote associadas ao mesmo aluno: a primeira fica com
+    // o aluno e as outras ficam sem aluno, marcadas para revisão
+    const seen = new Set();
+    entries.forEach(entry => {
+      if (!entry.studentId) return;
+      if (seen.has(entry.studentId)) {
+        entry.duplicateOf = entry.studentId;
+        entry.studentId = null;
+        entry.match = null;
+      }
+      seen.add(entry.duplicateOf || entry.studentId);
+    });
+
+    const matchedIds = new Set(entries.map(e => e.studentId).filter(Boolean));
+    const kept = assessment.results.filter(r => !r.studentId || !matchedIds.has(r.studentId));
+    const saved = assessmentStore.save({
+      ...assessment,
+      answerKey: answerKey || assessment.answerKey,
+      results: [...kept, ...entries],
+    });
+    return {
+      assessment: saved,
+      matched: entries.filter(e => e.studentId).length,
+      unmatched: entries.filter(e => !e.studentId).length,
+    };
+  }
+
+  // Atualiza o lançamento de um resultado revisado ou corrigido de novo,
+  // mantendo a posição; se ainda não havia lançamento, registra normalmente
+  function substituirResultado(assessmentId, { jobId, resultIndex, answerKey }, result) {
+    const assessment = getAssessment(assessmentId);
+    const position = assessment.results.findIndex(r => r.jobId === jobId && r.resultIndex === resultIndex);
+    if (position === -1) return registrarResultados(assessmentId, { jobId, answerKey, firstIndex: resultIndex }, [result]);
+
+    const { students } = getClass(assessment.classId);
+    const entry = lancamentoDoResultado(students, jobId, resultIndex, result, assessment.type);
+    // Outro lançamento já ocupa esse aluno: fica sem aluno, como nos duplicados do lote
+    if (entry.studentId && assessment.results.some((r, i) => i !== position && r.studentId === entry.studentId)) {
+      entry.duplicateOf = entry.studentId;
+      entry.studentId = null;
+      entry.match = null;
+    }
+    const results = assessment.results.map((r, i) => (i === position ? entry : r));
+    const saved = assessmentStore.save({ ...assessment, answerKey: answerKey || assessment.answerKey, results });
+    return { assessment: saved, matched: entry.studentId ? 1 : 0, unmatched: entry.studentId ? 0 : 1 };
+  }
+
+  return {
+    listClasses,
+    getClass,
+    createClass,
+    setStudents,
+    listAssessments,
+    getAssessment,
+    createAssessment,
+    registrarResultados,
+    substituirResultado,
+  };
+}
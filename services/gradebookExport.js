@@ -0,0 +1,106 @@
+import ExcelJS from "exceljs";
+
+// ==========================
+// Exportação do diário de notas para CSV e XLSX
+// ==========================
+// Uma linha por aluno da turma (na ordem da chamada), seguida dos resultados
+// que não puderam ser associados a nenhum aluno. O CSV segue o padrão do
+// Excel em português: separador ";", vírgula decimal e BOM UTF-8. O XLSX tem
+// uma segunda planilha com as estatísticas por questão.
+
+export const GRADEBOOK_FORMATS = ["csv", "xlsx"];
+
+const MARCACOES = { blank: "em branco", multiple: "múltipla" };
+
+function situacao(result) {
+  if (!result) return "Ausente";
+  if (result.invalidated) return "Anulada";
+  if (result.score === null) return "Erro";
+  if (result.duplicateOf) return `Duplicada (${result.duplicateOf})`;
+  if (!result.studentId) return "Não identificado";
+  return "Corrigida";
+}
+
+// Cabeçalho e linhas (valores crus) compartilhados entre CSV e XLSX
+function tabelaDeNotas(classe, assessment, stats) {
+  const questionNumbers = assessment.type === "objetiva"
+    ? stats.questions.map(q => q.q)
+    : stats.questions.map(q => q.number);
+  const header = ["Matrícula", "Nome", "Arquivo", "Nota", "Nota máxima", "Situação", ...questionNumbers.map(n => `Q${n}`)];
+
+  const celulasDasQuestoes = result => questionNumbers.map(n => {
+    if (!result) return null;
+    if (assessment.type === "objetiva") {
+      const detail = result.details.find(d => d.q === n);
+      if (!detail || detail.marked === null || detail.marked === undefined) return null;
+      return MARCACOES[detail.marked] || detail.marked;
+    }
+    const question = result.questions.find(q => q.number === n);
+    return question ? question.points : null;
+  });
+
+  const linha = (student, result) => [
+    student ? student.id : null,
+    student ? student.name : result.studentName,
+    result ? result.fileName : null,
+    result ? result.score : null,
+    result ? result.maxScore : null,
+    situacao(result),
+    ...celulasDasQuestoes(result),
+  ];
+
+  const rows = classe.students.map(student => linha(student, assessment.results.find(r => r.studentId === student.id)));
+  assessment.results.filter(r => !r.studentId).forEach(result => rows.push(linha(null, result)));
+  return { header, rows };
+}
+
+// Textos que começam como fórmula (nomes lidos pela IA, chamada digitada)
+// ganham um apóstrofo, para o Excel não executá-los. Números ficam como estão.
+function celulaCsv(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "number" ? String(value).replace(".", ",") : String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function gerarCsv(classe, assessment, stats) {
+  const { header, rows } = tabelaDeNotas(classe, assessment, stats);
+  const lines = [header, ...rows].map(row => row.map(celulaCsv).join(";"));
+  return Buffer.from(`\uFEFF${lines.join("\r\n")}\r\n`, "utf8");
+}
+
+export async function gerarXlsx(classe, assessment, stats) {
+  const workbook = new ExcelJS.Workbook();
+  const { header, rows } = tabelaDeNotas(classe, assessment, stats);
+
+  const grades = workbook.addWorksheet("Notas");
+  grades.addRow(header).font = { bold: true };
+  rows.forEach(row => grades.addRow(row));
+  grades.columns.forEach((column, i) => { column.width = i < 3 ? 28 : 12; });
+  grades.views = [{ state: "frozen", ySplit: 1 }];
+
+  const questions = workbook.addWorksheet("Questões");
+  if (assessment.type === "objetiva") {
+    questions.addRow(["Questão", "Gabarito", "Respostas", "Acerto (%)", "A", "B", "C", "D", "Em branco", "Múltipla", "Não lida", "Distrator principal"]).font = { bold: true };
+    stats.questions.forEach(q => {
+      const top = q.distractors.find(d => d.count > 0);
+      questions.addRow([
+        q.q, q.correct, q.answered, q.hitRate === null ? null : Math.round(q.hitRate * 1000) / 10,
+        q.distribution.A, q.distribution.B, q.distribution.C, q.distribution.D,
+        q.distribution.blank, q.distribution.multiple, q.distribution.unread,
+        top ? top.letter : null,
+      ]);
+    });
+  } else {
+    questions.addRow(["Questão", "Critério", "Pontos máximos", "Média", "Aproveitamento (%)"]).font = { bold: true };
+    stats.questions.forEach(q => {
+      questions.addRow([q.number, "(total da questão)", q.maxPoints, q.average, q.rate === null ? null : Math.round(q.rate * 1000) / 10]);
+      q.criteria.forEach(c => {
+        questions.addRow([q.number, c.description, c.maxPoints, c.average, c.rate === null ? null : Math.round(c.rate * 1000) / 10]);
+      });
+    });
+  }
+  questions.columns.forEach((column, i) => { column.width = i === 1 && assessment.type !== "objetiva" ? 48 : 14; });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
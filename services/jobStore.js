@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+
+// ==========================
+// Armazenamento persistente de jobs (um arquivo JSON por job)
+// ==========================
+// Os jobs ficam em memória para leitura rápida e cada alteração é gravada em
+// disco (<dir>/<jobId>.json), de modo que /status/:jobId continua
+// funcionando depois de reiniciar o servidor. Jobs finalizados mais antigos
+// que o TTL são removidos periodicamente; onRemove permite apagar arquivos
+// temporários associados ao job.
+//
+// Toda alteração também é publicada para quem assinou o job (subscribe), junto
+// com eventos avulsos enviados por emit() — usados pelo stream SSE.
+
+const FINISHED_STATUSES = ["completed", "failed"];
+
+export function createJobStore({ dir = "data/jobs", ttlMs = 24 * 60 * 60 * 1000, sweepIntervalMs = 10 * 60 * 1000, onRemove } = {}) {
+  const jobs = new Map();
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileFor(jobId) {
+    return path.join(dir, `${jobId}.json`);
+  }
+
+  function persist(jobId, job) {
+    // Grava num arquivo temporário e renomeia, para nunca deixar JSON pela metade
+    const tmp = `${fileFor(jobId)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(job));
+    fs.renameSync(tmp, fileFor(jobId));
+  }
+
+  function load() {
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith(".json")) continue;
+      const jobId = file.slice(0, -".json".length);
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        // Um job que estava em andamento quando o processo caiu não vai mais avançar
+        if (!FINISHED_STATUSES.includes(job.status)) {
+          job.status = "failed";
+          job.error = "O servidor foi reiniciado antes de o trabalho terminar.";
+          job.updatedAt = Date.now();
+          persist(jobId, job);
+        } else if (job.updating) {
+          // Idem para uma tarefa extra (novo resumo, tradução) de um job concluído,
+          // que continua concluído com o resultado anterior
+          delete job.updating;
+          job.updatedAt = Date.now();
+          persist(jobId, job);
+        }
+        jobs.set(jobId, job);
+      } catch (e) {
+        console.error(`[JOBS] Erro ao carregar ${file}: ${e.message}`);
+      }
+    }
+    console.log(`[JOBS] ${jobs.size} trabalhos carregados de ${dir}.`);
+  }
+
+  function get(jobId) {
+    return jobs.get(jobId);
+  }
+
+  // Substitui o job inteiro, preservando a data de criação
+  function set(jobId, data) {
+    const now = Date.now();
+    const previous = jobs.get(jobId);
+    const job = { ...data, createdAt: previous?.createdAt ?? now, updatedAt: now };
+    jobs.set(jobId, job);
+    persist(jobId, job);
+    emitter.emit(jobId, "update", job);
+    return job;
+  }
+
+  // Mescla campos no job existente
+  function update(jobId, patch) {
+    const previous = jobs.get(jobId);
+    if (!previous) return undefined;
+    return set(jobId, { ...previous, ...patch });
+  }
+
+  function remove(jobId) {
+    const job = jobs.get(jobId);
+    jobs.delete(jobId);
+    if (job && onRemove) onRemove(jobId, job);
+    try {
+      fs.rmSync(fileFor(jobId), { force: true });
+    } catch (e) {
+      console.error(`[JOBS] Erro ao remover ${jobId}: ${e.message}`);
+    }
+  }
+
+  // Publica um evento avulso (ex.: parte transcrita, nota de um aluno)
+  function emit(jobId, event, data) {
+    emitter.emit(jobId, event, data);
+  }
+
+  // listener(event, data) recebe "update" (job completo) e os eventos de emit();
+  // devolve a função que cancela a assinatura.
+  function subscribe(jobId, listener) {
+    emitter.on(jobId, listener);
+    return () => emitter.off(jobId, listener);
+  }
+
+  function sweep() {
+    const limit = Date.now() - ttlMs;
+    let removed = 0;
+    for (const [jobId, job] of jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && job.updatedAt < limit) {
+        remove(jobId);
+        removed++;
+      }
+    }
+    if (removed > 0) console.log(`[JOBS] ${removed} trabalhos expirados removidos.`);
+  }
+
+  load();
+  sweep();
+  setInterval(sweep, sweepIntervalMs).unref();
+
+  return { get, set, update, remove, sweep, emit, subscribe };
+}
@@ -0,0 +1,141 @@
+// ==========================
+// Idioma da transcrição: detecção e tradução
+// ==========================
+// `language` é o idioma falado (código ISO 639-1) ou "auto"; sem ele, os
+// prompts ficam como antes (sem indicação de idioma). Com "auto", o modelo
+// informa o idioma de cada parte numa linha [IDIOMA: xx] antes das frases; o
+// idioma do job é o mais frequente entre as partes.
+//
+// A tradução (`translateTo`) é feita depois da transcrição: os segmentos vão
+// em blocos numerados, para manter o tempo de cada frase (legendas
+// traduzidas), e o resumo é traduzido inteiro.
+
+export const LANGUAGES = {
+  pt: "português",
+  en: "inglês",
+  es: "espanhol",
+  fr: "francês",
+  de: "alemão",
+  it: "italiano",
+  nl: "holandês",
+  ru: "russo",
+  zh: "chinês",
+  ja: "japonês",
+  ko: "coreano",
+  ar: "árabe",
+  hi: "hindi",
+  la: "latim",
+};
+
+export const AUTO_LANGUAGE = "auto";
+
+function idiomaConhecido(code) {
+  return Object.hasOwn(LANGUAGES, code);
+}
+
+export function nomeDoIdioma(code) {
+  return idiomaConhecido(code) ? LANGUAGES[code] : code;
+}
+
+// Lança erro se o código não é conhecido (ou não é texto); devolve o código
+// normalizado ou null
+export function validarIdioma(value, { field, allowAuto = false }) {
+  if (value === undefined || value === null || value === "") return null;
+  const code = typeof value === "string" ? value.trim().toLowerCase() : null;
+  if (code === AUTO_LANGUAGE && allowAuto) return code;
+  if (!idiomaConhecido(code)) {
+    const accepted = [...(allowAuto ? [AUTO_LANGUAGE] : []), ...Object.keys(LANGUAGES)];
+    throw new Error(`Idioma inválido em "${field}". Use: ${accepted.join(", ")}.`);
+  }
+  return code;
+}
+
+// Instrução acrescentada ao prompt de transcrição
+export function instrucaoDeIdioma(language) {
+  if (!language) return "";
+  if (language === AUTO_LANGUAGE) {
+    return `\n      Transcreva no idioma em que se fala, sem traduzir. Antes da primeira frase, escreva uma linha
+      [IDIOMA: xx] com o código ISO 639-1 do idioma principal deste áudio (ex.: [IDIOMA: en]).`;
+  }
+  return `\n      O áudio está em ${nomeDoIdioma(language)}. Transcreva em ${nomeDoIdioma(language)}, sem traduzir.`;
+}
+
+const LANGUAGE_LINE = /^\s*\[IDIOMA:\s*([a-z]{2})\s*\]\s*$/im;
+
+// Separa a linha [IDIOMA: xx] da resposta: { language, text }
+export function extrairIdiomaDetectado(text) {
+  const match = text.match(LANGUAGE_LINE);
+  if (!match) return { language: null, text };
+  return { language: match[1].toLowerCase(), text: text.replace(LANGUAGE_LINE, "").trim() };
+}
+
+// Idioma mais frequente entre as partes (empate: o que apareceu primeiro)
+export function idiomaPredominante(languages) {
+  const counts = new Map();
+  languages.filter(Boolean).forEach(code => counts.set(code, (counts.get(code) || 0) + 1));
+  let best = null;
+  for (const [code, count] of counts) {
+    if (best === null || count > counts.get(best)) best = code;
+  }
+  return best;
+}
+
+export function buildSegmentTranslationPrompt(lines, target, source) {
+  return `
+    Traduza para ${nomeDoIdioma(target)} cada linha numerada abaixo${source ? `, escrita em ${nomeDoIdioma(source)}` : ""}.
+    São frases consecutivas da transcrição de uma aula: use o contexto, mas traduza cada linha separadamente.
+    Responda APENAS com as linhas traduzidas, uma por linha, no mesmo formato "número: texto" e com os mesmos números.
+
+${lines.map((line, i) => `${i + 1}: ${line}`).join("\n")}
+    `;
+}
+
+export function buildTextTranslationPrompt(text, target) {
+  return `
+    Traduza o texto abaixo para ${nomeDoIdioma(target)}, mantendo a formatação (tópicos, títulos e quebras de linha).
+    Responda apenas com a tradução.
+
+    Texto:
+    """${text}"""
+    `;
+}
+
+// Linhas "número: texto" da resposta; as que faltarem ficam null
+export function parseSegmentTranslation(text, count) {
+  const translated = new Array(count).fill(null);
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(\d+)\s*[:.)-]\s*(.*)$/);
+    const index = match ? Number(match[1]) - 1 : -1;
+    if (index >= 0 && index < count && match[2].trim()) translated[index] = match[2].trim();
+  }
+  return translated;
+}
+
+// Traduz os segmentos em blocos de até `maxChars` caracteres. Frases que o
+// modelo deixou de traduzir ficam com o texto original e `untranslated: true`.
+export async function traduzirSegmentos(segments, { gerar, target, source = null, maxChars = 12000 }) {
+  const blocks = [];
+  let current = [];
+  let size = 0;
+  for (const segment of segments) {
+    if (current.length > 0 && size + segment.text.length > maxChars) {
+      blocks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(segment);
+    size += segment.text.length + 8;
+  }
+  if (current.length > 0) blocks.push(current);
+
+  const translatedBlocks = await Promise.all(blocks.map(async block => {
+    const response = await gerar(buildSegmentTranslationPrompt(block.map(seg => seg.text), target, source));
+    const lines = parseSegmentTranslation(response, block.length);
+    return block.map((seg, i) => (lines[i] ? { ...seg, text: lines[i] } : { ...seg, untranslated: true }));
+  }));
+  return translatedBlocks.flat();
+}
+
+export function traduzirTexto(text, { gerar, target }) {
+  return gerar(buildTextTranslationPrompt(text, target));
+}
@@ -0,0 +1,217 @@
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { createRecordStore } from "./recordStore.js";
+
+// ==========================
+// Biblioteca de aulas e banco de questões
+// ==========================
+// Uma aula guarda a transcrição e o resumo de um job de transcrição (ou um
+// texto enviado direto) e serve de base para gerar atividades sem copiar o
+// resumo. Cada questão gerada entra no banco com o tema, a dificuldade e a
+// aula de origem, e pode ser reaproveitada para montar novas provas.
+// Como o diário de notas, usa um recordStore em <dir>/lessons e outro em
+// <dir>/questions.
+
+export const QUESTION_TYPES = ["objetiva", "dissertativa"];
+export const MAX_ASSEMBLED_QUESTIONS = 50;
+
+function libraryError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizarTexto(texto) {
+  return String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function textoOpcional(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function validarTopicos(topics) {
+  if (topics === undefined) return [];
+  if (!Array.isArray(topics) || topics.some(t => typeof t !== "string")) throw libraryError(400, '"topics" deve ser uma lista de textos.');
+  return [...new Set(topics.map(t => t.trim()).filter(Boolean))];
+}
+
+// Texto usado na busca: enunciado, alternativas, afirmações e tema
+function textoDaQuestao(question) {
+  return normalizarTexto([
+    question.statement,
+    question.topic,
+    ...(question.alternatives || []).map(a => a.text),
+    ...(question.items || []).map(item => item.text),
+  ].join(" "));
+}
+
+export function createLibrary({ dir = "data/library" } = {}) {
+  const lessonStore = createRecordStore(path.join(dir, "lessons"), { label: "BIBLIOTECA" });
+  const questionStore = createRecordStore(path.join(dir, "questions"), { label: "BIBLIOTECA" });
+  console.log(`[BIBLIOTECA] ${lessonStore.size} aulas e ${questionStore.size} questões carregadas de ${dir}.`);
+
+  // ---------- Aulas ----------
+
+  function getLesson(lessonId) {
+    const lesson = lessonStore.get(lessonId);
+    if (!lesson) throw libraryError(404, "Aula não encontrada.");
+    return lesson;
+  }
+
+  // Sem `owner`, lista as aulas de todos os usuários
+  function listLessons(owner, { q } = {}) {
+    const terms = normalizarTexto(q).split(" ").filter(Boolean);
+    return lessonStore.values()
+      .filter(l => owner === undefined || l.owner === owner)
+      .filter(l => {
+        const text = normalizarTexto(`${l.title} ${l.topics.join(" ")} ${l.summary}`);
+        return terms.every(term => text.includes(term));
+      })
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(l => ({
+        id: l.id,
+        title: l.title,
+        topics: l.topics,
+        jobId: l.jobId,
+        questions: questionStore.values().filter(q => q.lessonId === l.id).length,
+        createdAt: l.createdAt,
+      }));
+  }
+
+  // `source` traz a transcrição e o resumo (de um job ou enviados direto)
+  function createLesson({ title, topics } = {}, source = {}, owner = null) {
+    if (typeof title !== "string" || !title.trim()) throw libraryError(400, "Informe o título da aula.");
+    const summary = textoOpcional(source.summary);
+    if (!summary) throw libraryError(400, "A aula precisa de um resumo.");
+    return lessonStore.save({
+      id: uuidv4(),
+      owner,
+      title: title.trim(),
+      topics: validarTopicos(topics),
+      jobId: source.jobId || null,
+      transcription: textoOpcional(source.transcription) || "",
+      segments: Array.isArray(source.segments) ? source.segments : [],
+      speakers: Array.isArray(source.speakers) ? source.speakers : [],
+      summary,
+      createdAt: Date.now(),
+    });
+  }
+
+  function updateLesson(lessonId, { title, topics, summary } = {}) {
+    const lesson = getLesson(lessonId);
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) throw libraryError(400, "Informe o título da aula.");
+    if (summary !== undefined && !textoOpcional(summary)) throw libraryError(400, "O resumo não pode ficar vazio.");
+    return lessonStore.save({
+      ...lesson,
+      ...(title !== undefined ? { title: title.trim() } : {}),
+      ...(topics !== undefined ? { topics: validarTopicos(topics) } : {}),
+      ...(summary !== undefined ? { summary: summary.trim() } : {}),
+    });
+  }
+
+  // As questões geradas a partir da aula continuam no banco, sem a origem
+  function deleteLesson(lessonId) {
+    getLesson(lessonId);
+    for (const question of questionStore.values()) {
+      if (question.lessonId === lessonId) questionStore.save({ ...question, lessonId: null });
+    }
+    lessonStore.remove(lessonId);
+  }
+
+  // ---------- Banco de questões ----------
+
+  function getQuestion(questionId) {
+    const question = questionStore.get(questionId);
+    if (!question) throw libraryError(404, "Questão não encontrada.");
+    return question;
+  }
+
+  // Guarda as questões de uma atividade normalizada (normalizarAtividade).
+  // Questões sem tema recebem o primeiro tópico da aula, se houver.
+  function addQuestions(activity, { lessonId = null, topic = null } = {}, owner = null) {
+    const lesson = lessonId ? getLesson(lessonId) : null;
+    const fallbackTopic = textoOpcional(topic) || (lesson && lesson.topics[0]) || null;
+    return activity.questions.map(q => {
+      const { number, ...content } = q;
+      return questionStore.save({
+        id: uuidv4(),
+        owner,
+        lessonId,
+        type: activity.type,
+        questionType: activity.questionType || null,
+        difficulty: activity.difficulty || null,
+        ...content,
+        topic: textoOpcional(q.topic) || fallbackTopic,
+        createdAt: Date.now(),
+      });
+    });
+  }
+
+  // Filtros: q (texto), topic, difficulty, type, questionType, lessonId.
+  // Tema e dificuldade comparam sem acentos e sem diferenciar maiúsculas.
+  function searchQuestions(owner, filters = {}) {
+    const terms = normalizarTexto(filters.q).split(" ").filter(Boolean);
+    const mesmoTexto = (value, wanted) => !wanted || normalizarTexto(value) === normalizarTexto(wanted);
+    return questionStore.values()
+      .filter(q => owner === undefined || q.owner === owner)
+      .filter(q => !filters.type || q.type === filters.type)
+      .filter(q => mesmoTexto(q.questionType, filters.questionType))
+      .filter(q => !filters.lessonId || q.lessonId === filters.lessonId)
+      .filter(q => mesmoTexto(q.topic, filters.topic))
+      .filter(q => mesmoTexto(q.difficulty, filters.difficulty))
+      .filter(q => {
+        if (terms.length === 0) return true;
+        const text = textoDaQuestao(q);
+        return terms.every(term => text.includes(term));
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function updateQuestion(questionId, { topic, difficulty } = {}) {
+    const question = getQuestion(questionId);
+    if (topic !== undefined && topic !== null && typeof topic !== "string") throw libraryError(400, '"topic" deve ser um texto.');
+    if (difficulty !== undefined && difficulty !== null && typeof difficulty !== "string") throw libraryError(400, '"difficulty" deve ser um texto.');
+    return questionStore.save({
+      ...question,
+      ...(topic !== undefined ? { topic: textoOpcional(topic) } : {}),
+      ...(difficulty !== undefined ? { difficulty: textoOpcional(difficulty) } : {}),
+    });
+  }
+
+  function deleteQuestion(questionId) {
+    getQuestion(questionId);
+    questionStore.remove(questionId);
+  }
+
+  // Monta uma atividade no formato de /generate-activity a partir de questões
+  // do banco. Todas precisam ser do mesmo tipo (e, nas objetivas, do mesmo
+  // formato), para a prova e a folha de respostas saírem consistentes.
+  function assembleActivity(questions) {
+    if (questions.length === 0) throw libraryError(400, "Nenhuma questão do banco atende aos critérios.");
+    if (questions.length > MAX_ASSEMBLED_QUESTIONS) throw libraryError(400, `Uma prova pode ter no máximo ${MAX_ASSEMBLED_QUESTIONS} questões.`);
+    const [first] = questions;
+    if (questions.some(q => q.type !== first.type || (q.questionType || null) !== (first.questionType || null))) {
+      throw libraryError(400, "As questões escolhidas devem ser todas do mesmo tipo (objetiva ou dissertativa) e do mesmo formato.");
+    }
+    const difficulties = [...new Set(questions.map(q => q.difficulty).filter(Boolean))];
+    return {
+      type: first.type,
+      questionType: first.questionType || null,
+      difficulty: difficulties.length === 1 ? difficulties[0] : null,
+      questions: questions.map((q, i) => {
+        const { id, owner, lessonId, type, questionType, difficulty, createdAt, updatedAt, ...content } = q;
+        return { ...content, number: i + 1 };
+      }),
+    };
+  }
+
+  return {
+    getLesson, listLessons, createLesson, updateLesson, deleteLesson,
+    getQuestion, addQuestions, searchQuestions, updateQuestion, deleteQuestion, assembleActivity,
+  };
+}
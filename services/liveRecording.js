@@ -0,0 +1,80 @@
+import fs from "fs";
+import { sniffMediaType, prepararAudio } from "./mediaValidation.js";
+import { detectarSilencios, calcularPontosDeCorte, extrairTrecho } from "./audioChunking.js";
+
+// ==========================
+// Gravação ao vivo (áudio enviado aos poucos pelo navegador)
+// ==========================
+// Os pedaços recebidos (ex.: MediaRecorder em webm/opus) só fazem sentido
+// juntos, então são acrescentados a um único arquivo. A cada chamada de
+// `cortar`, o áudio ainda não dividido é preparado (mesma extração e
+// normalização do upload) e cortado nas pausas como em dividirNasPausas. Um
+// corte só é aceito quando já há `window` segundos gravados depois dele, para
+// não cortar no meio de uma frase que ainda está chegando; no final, o resto
+// vira a última parte.
+//
+// As partes seguem o formato de job.chunks: { file, start, end, overlap: 0 }.
+
+function liveError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function createLiveRecording({ outputDir, maxBytes, maxDurationSeconds, chunk = {}, media = {} }) {
+  const { target = 30, window = 8, noiseDb, minSilence } = chunk;
+  const recordingPath = `${outputDir}/gravacao`;
+  const tailPath = `${outputDir}/pendente.mp3`;
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(recordingPath, Buffer.alloc(0));
+
+  let bytes = 0;
+  let format = null;
+  let processedUntil = 0;
+  let nextIndex = 0;
+
+  // Acrescenta um pedaço; confere o formato assim que o cabeçalho chega
+  function append(data) {
+    bytes += data.length;
+    if (bytes > maxBytes) throw liveError(413, `A gravação excedeu o tamanho máximo de ${+(maxBytes / 1024 / 1024).toFixed(1)} MB.`);
+    fs.appendFileSync(recordingPath, data);
+    if (!format && bytes >= 16) {
+      const signature = sniffMediaType(recordingPath);
+      if (!signature) throw liveError(415, "Formato de áudio não suportado. Envie webm, ogg, mp4, wav ou mp3.");
+      format = signature.format;
+    }
+  }
+
+  // Devolve as partes novas já gravadas em disco
+  async function cortar({ final = false } = {}) {
+    if (!format) return [];
+    await prepararAudio(recordingPath, tailPath, { ...media, start: processedUntil });
+    const { duration, silences } = await detectarSilencios(tailPath, { noiseDb, minSilence });
+    if (processedUntil + duration > maxDurationSeconds) {
+      throw liveError(413, `A gravação excedeu a duração máxima de ${Math.round(maxDurationSeconds / 60)} minutos.`);
+    }
+
+    const cuts = calcularPontosDeCorte(duration, silences, { target, window })
+      .filter(cut => final || cut <= duration - window);
+    const bounds = [0, ...cuts, ...(final && duration > 0.5 ? [duration] : [])];
+
+    const chunks = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const file = `chunk_${String(nextIndex).padStart(3, "0")}.mp3`;
+      await extrairTrecho(tailPath, `${outputDir}/${file}`, bounds[i], bounds[i + 1] - bounds[i]);
+      chunks.push({ file, start: processedUntil + bounds[i], end: processedUntil + bounds[i + 1], overlap: 0 });
+      nextIndex++;
+    }
+    processedUntil += bounds[bounds.length - 1];
+    fs.rmSync(tailPath, { force: true });
+    return chunks;
+  }
+
+  return {
+    recordingPath,
+    append,
+    cortar,
+    get format() { return format; },
+    get duration() { return processedUntil; },
+  };
+}
@@ -0,0 +1,103 @@
+import fs from "fs";
+import ffmpeg from "fluent-ffmpeg";
+
+// ==========================
+// Validação e preparação do arquivo de áudio/vídeo enviado
+// ==========================
+// Os erros de validação carregam `status` (HTTP 4xx) e uma mensagem que
+// explica o problema, para o endpoint repassar direto ao cliente.
+
+function validationError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Assinaturas (magic bytes) dos formatos aceitos
+const SIGNATURES = [
+  { format: "mp3", kind: "audio", test: b => b.toString("latin1", 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe6) === 0xe2) },
+  { format: "aac", kind: "audio", test: b => b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+  { format: "wav", kind: "audio", test: b => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WAVE" },
+  { format: "avi", kind: "video", test: b => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 11) === "AVI" },
+  { format: "ogg", kind: "audio", test: b => b.toString("latin1", 0, 4) === "OggS" },
+  { format: "flac", kind: "audio", test: b => b.toString("latin1", 0, 4) === "fLaC" },
+  { format: "amr", kind: "audio", test: b => b.toString("latin1", 0, 5) === "#!AMR" },
+  { format: "mp4", kind: "container", test: b => b.toString("latin1", 4, 8) === "ftyp" },
+  { format: "webm", kind: "container", test: b => b.readUInt32BE(0) === 0x1a45dfa3 },
+];
+
+export function sniffMediaType(filePath) {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return SIGNATURES.find(sig => sig.test(header)) || null;
+}
+
+export function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) => {
+      if (err) return reject(err);
+      const streams = data.streams || [];
+      resolve({
+        duration: Number(data.format?.duration) || 0,
+        hasAudio: streams.some(s => s.codec_type === "audio"),
+        // Capas de álbum aparecem como vídeo com disposition.attached_pic
+        hasVideo: streams.some(s => s.codec_type === "video" && !s.disposition?.attached_pic),
+      });
+    });
+  });
+}
+
+// Confere tipo real do arquivo, faixa de áudio e duração máxima.
+// Devolve { format, duration, hasVideo } ou lança erro com status 4xx.
+export async function validarMidia(filePath, { maxDurationSeconds }) {
+  const signature = sniffMediaType(filePath);
+  if (!signature) {
+    throw validationError(415, "Formato de arquivo não suportado. Envie áudio (mp3, wav, ogg, flac, m4a, aac, amr) ou vídeo (mp4, mov, webm, mkv, avi).");
+  }
+
+  let info;
+  try {
+    info = await probeMedia(filePath);
+  } catch (e) {
+    throw validationError(422, `O arquivo ${signature.format} está corrompido ou não pôde ser lido.`);
+  }
+
+  if (!info.hasAudio) {
+    throw validationError(422, "O arquivo não contém nenhuma faixa de áudio.");
+  }
+  if (info.duration <= 0) {
+    throw validationError(422, "Não foi possível determinar a duração do áudio.");
+  }
+  if (maxDurationSeconds && info.duration > maxDurationSeconds) {
+    const hms = sec => new Date(Math.round(sec) * 1000).toISOString().slice(11, 19);
+    throw validationError(413, `O áudio tem ${hms(info.duration)} de duração; o máximo permitido é ${hms(maxDurationSeconds)}.`);
+  }
+
+  return { format: signature.format, duration: info.duration, hasVideo: info.hasVideo };
+}
+
+// Extrai só o áudio (descartando vídeo), aplica redução de ruído e
+// normalização de volume (EBU R128) e grava em mp3 mono. Com `start`, começa
+// nesse segundo (usado na gravação ao vivo, que é preparada aos poucos).
+export function prepararAudio(inputPath, outputPath, { normalize = true, denoise = true, start = 0 } = {}) {
+  const filters = [];
+  if (denoise) filters.push("highpass=f=80", "afftdn=nf=-25");
+  if (normalize) filters.push("loudnorm=I=-16:TP=-1.5:LRA=11");
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath).noVideo();
+    if (start > 0) command.setStartTime(start);
+    if (filters.length > 0) command.audioFilters(filters);
+    command
+      .outputOptions(["-ac 1", "-acodec libmp3lame", "-ab 128k", "-ar 44100"])
+      .output(outputPath)
+      .on("end", () => resolve())
+      .on("error", reject)
+      .run();
+  });
+}
@@ -0,0 +1,270 @@
+import sharp from "sharp";
+import { layoutAnswerSheet, PAGE } from "./answerSheetLayout.js";
+
+// ==========================
+// Leitura óptica (OMR) da folha de respostas gerada em /activities/export
+// ==========================
+// Etapas:
+//   1. Normaliza a iluminação (divide a imagem por uma versão muito borrada)
+//      e binariza.
+//   2. Localiza os quatro marcadores quadrados dos cantos e calcula a
+//      homografia página -> foto, o que corrige rotação, inclinação e
+//      perspectiva.
+//   3. Mede a fração de pixels escuros dentro de cada bolha.
+//   4. Procura um "X" vermelho (prova anulada).
+// Cada questão recebe uma confiança de 0 a 1; quem chama decide se a folha
+// precisa ser enviada ao modelo de IA.
+
+const WORK_WIDTH = 1200;
+const FILLED = 0.45;
+const BLANK = 0.15;
+const MID = (FILLED + BLANK) / 2;
+
+function imagemDeTrabalho(filePath) {
+  return sharp(filePath).rotate().resize({ width: WORK_WIDTH, withoutEnlargement: false });
+}
+
+async function carregarImagem(filePath) {
+  const base = imagemDeTrabalho(filePath);
+  const { data: rgb, info } = await base.clone().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const gray = await base.clone().grayscale().raw().toBuffer();
+  const background = await sharp(gray, { raw: { width: info.width, height: info.height, channels: 1 } })
+    .blur(Math.max(10, info.width / 15))
+    .raw()
+    .toBuffer();
+
+  const dark = new Uint8Array(info.width * info.height);
+  for (let i = 0; i < dark.length; i++) {
+    dark[i] = gray[i] < background[i] * 0.65 ? 1 : 0;
+  }
+  return { width: info.width, height: info.height, rgb, dark };
+}
+
+// Componentes conexos de pixels escuros que parecem quadrados cheios
+function encontrarMarcadores({ width, height, dark }) {
+  const visited = new Uint8Array(dark.length);
+  const candidates = [];
+  const minSide = width * 0.012;
+  const maxSide = width * 0.08;
+  const stack = [];
+
+  for (let start = 0; start < dark.length; start++) {
+    if (!dark[start] || visited[start]) continue;
+    let area = 0, minX = width, maxX = 0, minY = height, maxY = 0, sumX = 0, sumY = 0;
+    stack.push(start);
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+      area++;
+      sumX += x;
+      sumY += y;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+      const neighbors = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+      for (const n of neighbors) {
+        if (n >= 0 && dark[n] && !visited[n]) {
+          visited[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+
+    const w = maxX - minX + 1;
+    const h = maxY - minY + 1;
+    const aspect = w / h;
+    // Manchas sólidas (um quadrado girado até 45° ainda ocupa metade da caixa);
+    // contornos de bolhas e letras ficam bem abaixo disso
+    if (w >= minSide && w <= maxSide && aspect > 0.6 && aspect < 1.6 && area / (w * h) > 0.6) {
+      candidates.push({ x: sumX / area, y: sumY / area, area });
+    }
+  }
+  return candidates;
+}
+
+// Resolve o sistema linear 8x8 da homografia que leva `from` em `to`
+function homografia(from, to) {
+  const A = [];
+  const b = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  }
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const factor = A[r][col] / A[col][col];
+      for (let c = col; c < 8; c++) A[r][c] -= factor * A[col][c];
+      b[r] -= factor * b[col];
+    }
+  }
+  const h = b.map((value, i) => value / A[i][i]);
+  return ({ x, y }) => {
+    const w = h[6] * x + h[7] * y + 1;
+    return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+  };
+}
+
+function fracaoEscura(image, center, radius) {
+  let total = 0;
+  let darkCount = 0;
+  const r = Math.max(1, radius);
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      if (dx * dx + dy * dy > r * r) continue;
+      const x = Math.round(center.x + dx);
+      const y = Math.round(center.y + dy);
+      if (x < 0 || y < 0 || x >= image.width || y >= image.height) continue;
+      total++;
+      darkCount += image.dark[y * image.width + x];
+    }
+  }
+  return total > 0 ? darkCount / total : 0;
+}
+
+// Ordena os 4 marcadores no sentido horário e escolhe o canto superior
+// esquerdo: o lado superior é o mais curto (folha em retrato) e, entre as duas
+// opções restantes, o cabeçalho impresso deixa a faixa superior mais escura.
+function orientarMarcadores(points, image) {
+  const cx = points.reduce((s, p) => s + p.x, 0) / 4;
+  const cy = points.reduce((s, p) => s + p.y, 0) / 4;
+  const ring = [...points].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const reference = layoutAnswerSheet(1).fiducials;
+
+  const options = [0, 1, 2, 3]
+    .map(shift => [0, 1, 2, 3].map(i => ring[(i + shift) % 4]))
+    .filter(order => dist(order[0], order[1]) <= dist(order[1], order[2]));
+
+  const densidade = (toImage, top, bottom) => {
+    let sum = 0;
+    let n = 0;
+    for (let y = top; y < bottom; y += 6) {
+      for (let x = 60; x < PAGE.width - 60; x += 6) {
+        const p = toImage({ x, y });
+        const px = Math.round(p.x);
+        const py = Math.round(p.y);
+        if (px < 0 || py < 0 || px >= image.width || py >= image.height) continue;
+        sum += image.dark[py * image.width + px];
+        n++;
+      }
+    }
+    return n > 0 ? sum / n : 0;
+  };
+
+  let best = null;
+  for (const order of options) {
+    const toImage = homografia(reference, order);
+    const score = densidade(toImage, 80, 180) - densidade(toImage, PAGE.height - 180, PAGE.height - 80);
+    if (!best || score > best.score) best = { score, toImage };
+  }
+  return best.toImage;
+}
+
+function detectarXVermelho({ width, height, rgb }) {
+  let count = 0;
+  let minX = width, maxX = 0, minY = height, maxY = 0;
+  for (let i = 0, p = 0; i < rgb.length; i += 3, p++) {
+    const r = rgb[i], g = rgb[i + 1], b = rgb[i + 2];
+    if (r > 120 && r > g * 1.6 && r > b * 1.6) {
+      count++;
+      const x = p % width;
+      const y = (p - x) / width;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  const fraction = count / (width * height);
+  return fraction > 0.003 && (maxX - minX) > width * 0.3 && (maxY - minY) > height * 0.3;
+}
+
+// Certeza de que a bolha está cheia ou vazia: 1 longe do limiar, 0 em cima dele
+function certeza(fill) {
+  return Math.min(1, Math.abs(fill - MID) / (FILLED - MID));
+}
+
+// Lê a folha e devolve { ok, invalidated, confidence, header, answers: [{ q, marked, fills, confidence }] }.
+// `marked` é a letra marcada, "blank" ou "multiple". `header` é o retângulo do
+// cabeçalho (nome/matrícula) na imagem de trabalho, para recortarCabecalho.
+// ok = false quando os marcadores não foram encontrados (não é uma folha
+// gerada pelo sistema).
+export async function lerFolhaDeRespostas(filePath, totalQuestions) {
+  const image = await carregarImagem(filePath);
+  const candidates = encontrarMarcadores(image);
+  if (candidates.length < 4) {
+    return { ok: false, reason: `Foram encontrados ${candidates.length} dos 4 marcadores de canto.` };
+  }
+
+  // Para cada canto da foto, o candidato mais próximo
+  const corners = [
+    { x: 0, y: 0 },
+    { x: image.width, y: 0 },
+    { x: image.width, y: image.height },
+    { x: 0, y: image.height },
+  ];
+  const chosen = corners.map(corner => candidates.reduce((best, c) =>
+    Math.hypot(c.x - corner.x, c.y - corner.y) < Math.hypot(best.x - corner.x, best.y - corner.y) ? c : best));
+  const areas = chosen.map(c => c.area);
+  if (new Set(chosen).size < 4 || Math.max(...areas) > Math.min(...areas) * 2.5) {
+    return { ok: false, reason: "Os marcadores de canto não formam um quadrilátero válido." };
+  }
+
+  const toImage = orientarMarcadores(chosen, image);
+  const layout = layoutAnswerSheet(totalQuestions);
+  const scale = Math.hypot(toImage({ x: 1, y: 0 }).x - toImage({ x: 0, y: 0 }).x, toImage({ x: 1, y: 0 }).y - toImage({ x: 0, y: 0 }).y);
+
+  const answers = layout.rows.map(row => {
+    const fills = row.bubbles.map(bubble => fracaoEscura(image, toImage(bubble), Math.round(bubble.r * 0.6 * scale)));
+    const markedLetters = row.bubbles.filter((_, j) => fills[j] >= MID).map(b => b.letter);
+    const marked = markedLetters.length === 0 ? "blank" : markedLetters.length > 1 ? "multiple" : markedLetters[0];
+    return {
+      q: row.q,
+      marked,
+      fills: fills.map(f => Number(f.toFixed(3))),
+      confidence: Number(Math.min(...fills.map(certeza)).toFixed(2)),
+    };
+  });
+
+  const { header } = layout;
+  const headerCorners = [
+    { x: header.left, y: header.top },
+    { x: header.left + header.width, y: header.top },
+    { x: header.left + header.width, y: header.top + header.height },
+    { x: header.left, y: header.top + header.height },
+  ].map(toImage);
+  const clampX = v => Math.max(0, Math.min(image.width, Math.round(v)));
+  const clampY = v => Math.max(0, Math.min(image.height, Math.round(v)));
+  const left = clampX(Math.min(...headerCorners.map(p => p.x)));
+  const top = clampY(Math.min(...headerCorners.map(p => p.y)));
+
+  return {
+    ok: true,
+    invalidated: detectarXVermelho(image),
+    confidence: Math.min(...answers.map(a => a.confidence)),
+    header: {
+      left,
+      top,
+      width: clampX(Math.max(...headerCorners.map(p => p.x))) - left,
+      height: clampY(Math.max(...headerCorners.map(p => p.y))) - top,
+    },
+    answers,
+  };
+}
+
+// Recorta o cabeçalho (PNG) para a leitura do nome e da matrícula do aluno
+export function recortarCabecalho(filePath, header) {
+  return imagemDeTrabalho(filePath).extract(header).png().toBuffer();
+}
@@ -0,0 +1,58 @@
+import fs from "fs";
+import path from "path";
+
+// ==========================
+// Registros JSON em disco (um arquivo por registro)
+// ==========================
+// Base do diário de notas, da biblioteca e dos usuários: os registros ficam
+// em memória (por `id`) e cada gravação vai para <dir>/<id>.json, sem
+// expiração. Ao criar o store, os arquivos existentes são carregados; um
+// arquivo ilegível é registrado no log (com o prefixo `label`) e ignorado.
+
+export function createRecordStore(dir, { label = "REGISTROS" } = {}) {
+  const items = new Map();
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileFor(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  // Grava num arquivo temporário e renomeia, para nunca deixar JSON pela metade
+  function persist(item) {
+    fs.writeFileSync(`${fileFor(item.id)}.tmp`, JSON.stringify(item));
+    fs.renameSync(`${fileFor(item.id)}.tmp`, fileFor(item.id));
+  }
+
+  // Substitui o registro (com `updatedAt` novo) e devolve a versão gravada
+  function save(item) {
+    const saved = { ...item, updatedAt: Date.now() };
+    items.set(saved.id, saved);
+    persist(saved);
+    return saved;
+  }
+
+  function remove(id) {
+    items.delete(id);
+    fs.rmSync(fileFor(id), { force: true });
+  }
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const item = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      items.set(item.id, item);
+    } catch (e) {
+      console.error(`[${label}] Erro ao carregar ${path.basename(dir)}/${file}: ${e.message}`);
+    }
+  }
+
+  return {
+    get: id => items.get(id),
+    has: id => items.has(id),
+    values: () => [...items.values()],
+    get size() { return items.size; },
+    save,
+    persist,
+    remove,
+  };
+}
@@ -0,0 +1,161 @@
+// ==========================
+// Revisão das correções pelo professor
+// ==========================
+// Cada resultado de correção recebe `review` ({ needed, reasons }): falhas,
+// baixa confiança, marcações não lidas ou critérios não avaliados pedem
+// revisão. O professor pode alterar a correção de questões (múltipla escolha)
+// ou os pontos e a nota (dissertativa), sempre com um comentário. Os valores
+// da correção automática ficam em `original` e cada alteração entra em
+// `audit` com o valor anterior e o novo.
+//
+// Os erros de validação carregam `status` (HTTP 4xx) para o endpoint repassar.
+
+export const MARCACOES_VALIDAS = ["A", "B", "C", "D", "blank", "multiple"];
+
+function reviewError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// `type` é o tipo do job: "multiple-choice" ou "essay"
+export function motivosDeRevisao(result, type, { minConfidence = 0.7 } = {}) {
+  const reasons = [];
+  if (type === "multiple-choice") {
+    if (result.error) return [`A correção falhou: ${result.error}`];
+    if (typeof result.confidence === "number" && result.confidence < minConfidence) {
+      reasons.push(`Confiança baixa na leitura (${result.confidence}).`);
+    }
+    const unread = result.details.filter(d => d.marked === null).map(d => d.q);
+    if (!result.invalidated && unread.length > 0) reasons.push(`Marcação não lida nas questões ${unread.join(", ")}.`);
+    return reasons;
+  }
+
+  if (!Number.isFinite(Number(result.nota))) return [`A correção falhou: ${result.feedback}`];
+  (result.questions || []).forEach(q => {
+    const missing = q.criteria.filter(c => c.evaluated === false).length;
+    if (missing > 0) reasons.push(`Questão ${q.number}: ${missing} critério(s) não avaliado(s) pela IA.`);
+  });
+  return reasons;
+}
+
+export function marcarRevisao(result, type, options) {
+  const reasons = motivosDeRevisao(result, type, options);
+  return { ...result, review: { needed: reasons.length > 0, reasons } };
+}
+
+function instantaneo(result, type) {
+  return type === "multiple-choice"
+    ? { grade: result.grade, invalidated: result.invalidated, student: result.student, details: result.details }
+    : { nota: result.nota, student: result.student, questions: result.questions };
+}
+
+// `previous` é o resultado antes da alteração: na primeira, vira `original`
+function registrar(previous, updated, type, entry) {
+  return {
+    ...updated,
+    original: previous.original || instantaneo(previous, type),
+    audit: [...(previous.audit || []), { at: Date.now(), ...entry }],
+  };
+}
+
+function alterarMultiplaEscolha(result, body, answerKey, changes) {
+  const details = result.details.map(d => ({ ...d }));
+  let invalidated = result.invalidated;
+  if (body.invalidated !== undefined) {
+    if (typeof body.invalidated !== "boolean") throw reviewError('"invalidated" deve ser true ou false.');
+    if (body.invalidated !== invalidated) changes.push({ field: "invalidated", from: invalidated, to: body.invalidated });
+    invalidated = body.invalidated;
+  }
+
+  (body.questions || []).forEach(change => {
+    const detail = details.find(d => d.q === Number(change.q));
+    if (!detail) throw reviewError(`Questão ${change.q} não existe nesta prova.`);
+    if (change.marked !== undefined) {
+      const marked = MARCACOES_VALIDAS.includes(change.marked) ? change.marked : String(change.marked).toUpperCase();
+      if (!MARCACOES_VALIDAS.includes(marked)) throw reviewError(`Questão ${detail.q}: "marked" deve ser ${MARCACOES_VALIDAS.join(", ")}.`);
+      if (marked !== detail.marked) changes.push({ field: `q${detail.q}.marked`, from: detail.marked, to: marked });
+      detail.marked = marked;
+      if (change.correct === undefined) {
+        const correct = marked === answerKey[detail.q - 1];
+        if (correct !== detail.correct) changes.push({ field: `q${detail.q}.correct`, from: detail.correct, to: correct });
+        detail.correct = correct;
+      }
+    }
+    if (change.correct !== undefined) {
+      if (typeof change.correct !== "boolean") throw reviewError(`Questão ${detail.q}: "correct" deve ser true ou false.`);
+      if (change.correct !== detail.correct) changes.push({ field: `q${detail.q}.correct`, from: detail.correct, to: change.correct });
+      detail.correct = change.correct;
+    }
+  });
+
+  const correctCount = invalidated ? 0 : details.filter(d => d.correct).length;
+  return { ...result, invalidated, details, grade: `${correctCount}/${details.length}` };
+}
+
+function alterarDissertativa(result, body, rubric, changes) {
+  const questions = (result.questions || []).map(q => ({ ...q }));
+  (body.questions || []).forEach(change => {
+    const question = questions.find(q => q.number === Number(change.number));
+    if (!question) throw reviewError(`Questão ${change.number} não existe nesta prova.`);
+    const points = Number(change.points);
+    if (!Number.isFinite(points) || points < 0 || points > question.maxPoints) {
+      throw reviewError(`Questão ${question.number}: "points" deve estar entre 0 e ${question.maxPoints}.`);
+    }
+    if (points !== question.points) changes.push({ field: `q${question.number}.points`, from: question.points, to: points });
+    question.points = points;
+  });
+
+  let nota = questions.length > 0 ? round2(questions.reduce((sum, q) => sum + q.points, 0)) : result.nota;
+  if (body.nota !== undefined) {
+    nota = Number(body.nota);
+    if (!Number.isFinite(nota) || nota < 0 || nota > rubric.maxPoints) {
+      throw reviewError(`"nota" deve estar entre 0 e ${rubric.maxPoints}.`);
+    }
+  }
+  if (String(nota) !== String(result.nota)) changes.push({ field: "nota", from: result.nota, to: nota });
+  return { ...result, questions, nota: String(nota), notaMaxima: rubric.maxPoints };
+}
+
+// Aplica a revisão do professor. `context` traz o gabarito (answerKey) ou a
+// rubrica (rubric) do job. Devolve o resultado novo, com `original` e `audit`.
+export function aplicarRevisao(result, type, body = {}, context = {}) {
+  const comment = typeof body.comment === "string" ? body.comment.trim() : "";
+  if (!comment) throw reviewError('Informe o motivo da alteração em "comment".');
+  if (body.questions !== undefined && !Array.isArray(body.questions)) throw reviewError('"questions" deve ser uma lista.');
+
+  const changes = [];
+  let updated = type === "multiple-choice"
+    ? alterarMultiplaEscolha(result, body, context.answerKey, changes)
+    : alterarDissertativa(result, body, context.rubric, changes);
+
+  if (body.student !== undefined) {
+    const student = type === "multiple-choice"
+      ? (body.student ? { name: body.student.name || null, id: body.student.id ? String(body.student.id) : null } : null)
+      : (body.student ? String(body.student) : null);
+    if (JSON.stringify(student) !== JSON.stringify(result.student)) changes.push({ field: "student", from: result.student, to: student });
+    updated = { ...updated, student };
+  }
+
+  // Depois da revisão a nota passa a ser a do professor, mesmo que a correção automática tenha falhado
+  if (updated.error) updated = { ...updated, error: null };
+
+  const reviewer = typeof body.reviewer === "string" && body.reviewer.trim() ? body.reviewer.trim() : null;
+  return {
+    ...registrar(result, updated, type, { action: "override", reviewer, comment, changes }),
+    review: { ...result.review, needed: false, reviewedAt: Date.now(), reviewedBy: reviewer },
+  };
+}
+
+// Registra a nova correção automática de uma prova, preservando o histórico
+export function registrarNovaCorrecao(previous, regraded, type, { reviewer = null, comment = "" } = {}) {
+  const field = type === "multiple-choice" ? "grade" : "nota";
+  return registrar(previous, regraded, type, {
+    action: "regrade",
+    reviewer,
+    comment,
+    changes: [{ field, from: previous[field], to: regraded[field] }],
+  });
+}
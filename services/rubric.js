@@ -0,0 +1,156 @@
+// ==========================
+// Rubrica de correção dissertativa (por questão e por critério)
+// ==========================
+// O professor envia as questões com a resposta esperada, a pontuação máxima e
+// critérios com peso. Os pontos de cada critério são a parte proporcional ao
+// peso dentro da questão. O modelo só atribui pontos e justificativas; os
+// limites e a soma da nota final são feitos aqui.
+//
+// { "questions": [ { "number": 1, "statement": "...", "expectedAnswer": "...", "maxPoints": 5,
+//                    "criteria": [ { "description": "...", "weight": 2 } ] } ] }
+
+export const MAX_RUBRIC_QUESTIONS = 50;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Rubrica de uma questão só, a partir dos campos antigos (gabarito, critérios e nota máxima)
+export function rubricaSimples(gabarito, criterios, notaMaxima) {
+  return {
+    questions: [{
+      number: 1,
+      expectedAnswer: gabarito,
+      maxPoints: Number(notaMaxima),
+      criteria: [{ description: criterios, weight: 1 }],
+    }],
+  };
+}
+
+function ehObjeto(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Devolve a lista de problemas encontrados (vazia se a rubrica é válida)
+export function validarRubrica(rubric) {
+  const questions = rubric && Array.isArray(rubric.questions) ? rubric.questions : null;
+  if (!questions || questions.length === 0) return ['A rubrica deve ter a propriedade "questions" com ao menos uma questão.'];
+  if (questions.length > MAX_RUBRIC_QUESTIONS) return [`A rubrica pode ter no máximo ${MAX_RUBRIC_QUESTIONS} questões.`];
+
+  const errors = [];
+  questions.forEach((q, i) => {
+    const label = `Questão ${i + 1}`;
+    if (!ehObjeto(q)) {
+      errors.push(`${label}: deve ser um objeto com a resposta esperada e os pontos.`);
+      return;
+    }
+    const expected = q.expectedAnswer || q.explanation;
+    if (typeof expected !== "string" || !expected.trim()) errors.push(`${label}: falta a resposta esperada ("expectedAnswer").`);
+    if (!(Number(q.maxPoints) > 0)) errors.push(`${label}: "maxPoints" deve ser um número maior que zero.`);
+    if (q.criteria === undefined) return;
+    if (!Array.isArray(q.criteria) || q.criteria.length === 0) {
+      errors.push(`${label}: "criteria" deve ser uma lista com ao menos um critério.`);
+      return;
+    }
+    q.criteria.forEach((c, j) => {
+      if (!ehObjeto(c)) {
+        errors.push(`${label}, critério ${j + 1}: deve ser um objeto com a descrição ("description").`);
+        return;
+      }
+      if (typeof c.description !== "string" || !c.description.trim()) errors.push(`${label}, critério ${j + 1}: falta a descrição ("description").`);
+      if (c.weight !== undefined && !(Number(c.weight) > 0)) errors.push(`${label}, critério ${j + 1}: "weight" deve ser maior que zero.`);
+    });
+  });
+  return errors;
+}
+
+// Numera as questões, aceita "explanation" (atividades geradas) como resposta
+// esperada e calcula os pontos máximos de cada critério a partir dos pesos
+export function normalizarRubrica(rubric) {
+  const questions = rubric.questions.map((q, i) => {
+    const maxPoints = Number(q.maxPoints);
+    const criteria = (q.criteria || [{ description: "A resposta está de acordo com a resposta esperada." }])
+      .map(c => ({ description: c.description.trim(), weight: Number(c.weight ?? 1) }));
+    const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+    return {
+      number: i + 1,
+      statement: typeof q.statement === "string" ? q.statement.trim() : "",
+      expectedAnswer: (q.expectedAnswer || q.explanation).trim(),
+      maxPoints,
+      criteria: criteria.map(c => ({ ...c, maxPoints: round2((maxPoints * c.weight) / totalWeight) })),
+    };
+  });
+  return { questions, maxPoints: round2(questions.reduce((sum, q) => sum + q.maxPoints, 0)) };
+}
+
+export function buildRubricPrompt(rubric, pageCount) {
+  const questionsText = rubric.questions.map(q => {
+    const criteria = q.criteria.map((c, j) => `      ${j + 1}. ${c.description} (vale ${c.maxPoints} ponto(s))`).join("\n");
+    return `  QUESTÃO ${q.number} (vale ${q.maxPoints} ponto(s))${q.statement ? `\n    Enunciado: ${q.statement}` : ""}
+    Resposta esperada: """${q.expectedAnswer}"""
+    Critérios:
+${criteria}`;
+  }).join("\n\n");
+
+  const exampleQuestions = rubric.questions.map(q => ({
+    number: q.number,
+    criteria: q.criteria.map((c, j) => ({ criterion: j + 1, points: 0, justification: "Por que o aluno recebeu esses pontos neste critério" })),
+    feedback: "Comentário sobre a resposta do aluno nesta questão",
+  }));
+
+  return `
+    TAREFA: Você é um professor assistente. Sua tarefa é corrigir a prova dissertativa de um aluno contida em ${pageCount} IMAGEM(NS), que são as páginas da prova na ordem.
+    RUBRICA:
+${questionsText}
+    INSTRUÇÕES:
+    1.  Leia a resposta completa do aluno em TODAS as páginas (uma resposta pode continuar na página seguinte) e localize a resposta de cada questão.
+    2.  Para cada critério de cada questão, atribua "points" entre 0 e o valor do critério. Crédito parcial é permitido (ex: 0.5).
+    3.  Justifique cada pontuação em "justification", citando o que o aluno escreveu ou o que faltou em relação à resposta esperada.
+    4.  Questões sem resposta recebem 0 em todos os critérios.
+    5.  Escreva um "feedback" por questão e um "feedback" geral para o aluno.
+    6.  Se o nome do aluno estiver escrito na prova, informe-o em "aluno"; caso contrário use null.
+    FORMATO DE SAÍDA:
+    Responda APENAS com um objeto JSON válido. Não inclua markdown (como \`\`\`json) ou qualquer outro texto.
+
+    ${JSON.stringify({ aluno: "Nome do aluno ou null", questions: exampleQuestions, feedback: "Comentário geral sobre a prova" })}
+  `;
+}
+
+// Aplica os limites da rubrica às notas do modelo e soma a nota final.
+// Critérios que o modelo não avaliou ficam com 0 e uma justificativa indicando isso.
+export function calcularNotaPorRubrica(rubric, aiResponse) {
+  if (!aiResponse || !Array.isArray(aiResponse.questions)) {
+    throw new Error("A IA não retornou a lista 'questions' com a correção de cada questão.");
+  }
+
+  const questions = rubric.questions.map(q => {
+    const answer = aiResponse.questions.find(a => Number(a.number) === q.number) || {};
+    const answerCriteria = Array.isArray(answer.criteria) ? answer.criteria : [];
+    const criteria = q.criteria.map((c, j) => {
+      const scored = answerCriteria.find(a => Number(a.criterion) === j + 1) || answerCriteria[j];
+      const points = scored && Number.isFinite(Number(scored.points)) ? Number(scored.points) : null;
+      return {
+        description: c.description,
+        weight: c.weight,
+        maxPoints: c.maxPoints,
+        points: points === null ? 0 : round2(Math.min(c.maxPoints, Math.max(0, points))),
+        evaluated: points !== null,
+        justification: points === null
+          ? "A IA não avaliou este critério."
+          : String(scored.justification || ""),
+      };
+    });
+    return {
+      number: q.number,
+      points: round2(criteria.reduce((sum, c) => sum + c.points, 0)),
+      maxPoints: q.maxPoints,
+      feedback: typeof answer.feedback === "string" ? answer.feedback : "",
+      criteria,
+    };
+  });
+
+  return {
+    nota: round2(questions.reduce((sum, q) => sum + q.points, 0)),
+    notaMaxima: rubric.maxPoints,
+    feedback: typeof aiResponse.feedback === "string" ? aiResponse.feedback : "",
+    questions,
+  };
+}
@@ -0,0 +1,92 @@
+// ==========================
+// Segmentos com tempo e exportação de legendas (SRT / WebVTT)
+// ==========================
+
+const TIMESTAMP_LINE = /^\s*\[(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?:[.,]\d+)?\]\s*(.*)$/;
+const SPEAKER_PREFIX = /^([^:\n]{1,40}):\s+(.*)$/;
+
+// Lê o texto de um trecho no formato "[MM:SS] frase" (uma por linha) e devolve
+// segmentos { start, end, text } em segundos absolutos, somando `offset`.
+// Linhas sem marcação de tempo são anexadas ao segmento anterior; se o modelo
+// não devolver nenhuma marcação, o trecho inteiro vira um único segmento.
+// Com `speakers`, cada linha no formato "[MM:SS] Falante: frase" também
+// preenche `speaker` no segmento.
+export function parseTimestampedText(text, offset, duration, { speakers = false } = {}) {
+  const segments = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(TIMESTAMP_LINE);
+    if (match) {
+      const [, h, m, s, content] = match;
+      const relative = Number(h || 0) * 3600 + Number(m) * 60 + Number(s);
+      const segment = { start: offset + Math.min(relative, duration), text: content.trim() };
+      const speakerMatch = speakers && segment.text.match(SPEAKER_PREFIX);
+      if (speakerMatch) {
+        segment.speaker = speakerMatch[1].trim();
+        segment.text = speakerMatch[2].trim();
+      }
+      segments.push(segment);
+    } else if (line.trim()) {
+      if (segments.length === 0) segments.push({ start: offset, text: "" });
+      const last = segments[segments.length - 1];
+      last.text = `${last.text} ${line.trim()}`.trim();
+    }
+  }
+
+  const chunkEnd = offset + duration;
+  return segments
+    .filter(seg => seg.text)
+    .map((seg, i, all) => ({
+      start: seg.start,
+      end: i + 1 < all.length ? Math.max(all[i + 1].start, seg.start) : chunkEnd,
+      ...(seg.speaker ? { speaker: seg.speaker } : {}),
+      text: seg.text,
+    }));
+}
+
+// Junta os segmentos em texto corrido; com falantes, agrupa falas
+// consecutivas da mesma pessoa em uma linha "Falante: texto".
+export function segmentsToText(segments) {
+  if (!segments.some(seg => seg.speaker)) {
+    return segments.map(seg => seg.text).join(" ");
+  }
+  const lines = [];
+  for (const seg of segments) {
+    const last = lines[lines.length - 1];
+    if (last && last.speaker === seg.speaker) {
+      last.text = `${last.text} ${seg.text}`;
+    } else {
+      lines.push({ speaker: seg.speaker, text: seg.text });
+    }
+  }
+  return lines.map(line => (line.speaker ? `${line.speaker}: ${line.text}` : line.text)).join("\n");
+}
+
+function formatTime(totalSeconds, separator) {
+  const ms = Math.round(totalSeconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, size = 2) => String(n).padStart(size, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function withSpeaker(seg) {
+  return seg.speaker ? `${seg.speaker}: ${seg.text}` : seg.text;
+}
+
+export function toSrt(segments) {
+  return segments
+    .map((seg, i) => `${i + 1}\n${formatTime(seg.start, ",")} --> ${formatTime(seg.end, ",")}\n${withSpeaker(seg)}\n`)
+    .join("\n");
+}
+
+export function toVtt(segments) {
+  const cues = segments
+    .map(seg => `${formatTime(seg.start, ".")} --> ${formatTime(seg.end, ".")}\n${seg.speaker ? `<v ${seg.speaker}>${seg.text}` : seg.text}\n`)
+    .join("\n");
+  return `WEBVTT\n\n${cues}`;
+}
+
+export function toTxt(segments) {
+  return segments.map(seg => `[${formatTime(seg.start, ".").slice(0, 8)}] ${withSpeaker(seg)}`).join("\n") + "\n";
+}
@@ -0,0 +1,125 @@
+// ==========================
+// Resumo da transcrição: estilos e resumo hierárquico (map-reduce)
+// ==========================
+// Transcrições curtas vão inteiras para o prompt do estilo pedido. Nas
+// longas (gravações de várias horas), o texto é dividido em blocos de até
+// `maxChars` caracteres; cada bloco vira anotações (map), as anotações são
+// condensadas em grupos enquanto não couberem num prompt (reduce) e o estilo
+// final é gerado a partir delas. As anotações ficam guardadas no job, para
+// gerar outro estilo sem reler a transcrição inteira.
+//
+// `gerar(prompt)` devolve o texto do modelo; o servidor passa uma função que
+// já usa a fila da IA. Com `languageName`, o resumo é escrito nesse idioma.
+
+export const SUMMARY_STYLES = {
+  topicos: "resumo em tópicos",
+  guia: "guia de estudo",
+  glossario: "glossário de termos-chave",
+  mapa: "mapa mental (estrutura em tópicos aninhados)",
+};
+
+export const DEFAULT_SUMMARY_STYLE = "topicos";
+
+// Só as chaves do próprio objeto ("constructor" não é estilo) e só texto
+export function estiloValido(style) {
+  return typeof style === "string" && Object.hasOwn(SUMMARY_STYLES, style);
+}
+
+function instrucoesDoEstilo(style, diarize) {
+  if (style === "guia") {
+    return `Gere um guia de estudo para o aluno revisar a aula, com as seções:
+    "Objetivos da aula", "Conceitos principais" (cada conceito explicado em poucas frases),
+    "Exemplos dados em aula" e "Perguntas para revisão" (5 a 10 perguntas, sem as respostas).`;
+  }
+  if (style === "glossario") {
+    return `Gere um glossário com os termos-chave da aula, em ordem alfabética, um por linha,
+    no formato "Termo: definição curta, como foi usada na aula".
+    Inclua apenas termos que aparecem no texto.`;
+  }
+  if (style === "mapa") {
+    return `Gere um mapa mental da aula como uma estrutura de tópicos aninhados:
+    a primeira linha é o tema central e cada nível abaixo é recuado com dois espaços e começa com "- ".
+    Use frases curtas (no máximo 8 palavras por item) e até 4 níveis.`;
+  }
+  return `Gere um resumo **em tópicos** (marcados com "•") a partir do texto abaixo.
+    O resumo deve conter as ideias principais, sem repetir frases.${diarize ? `
+    O texto identifica os falantes (Professor, Aluno 1, ...). Organize o resumo em duas partes:
+    "Conteúdo da aula" (o que o professor expôs) e "Perguntas e intervenções dos alunos".` : ""}`;
+}
+
+export function buildSummaryPrompt(text, { style = DEFAULT_SUMMARY_STYLE, diarize = false, fromNotes = false, languageName = null } = {}) {
+  return `
+    ${instrucoesDoEstilo(style, diarize)}
+    Não diga que precisa do texto, apenas gere o conteúdo pedido.${languageName ? `
+    Escreva em ${languageName}, o idioma da aula.` : ""}
+    ${fromNotes ? "O texto abaixo são anotações, em ordem, de trechos consecutivos de uma aula longa; trate-as como uma aula só." : ""}
+
+    Texto:
+    """${text}"""
+    `;
+}
+
+// Anotações de um bloco (map) ou de um grupo de anotações (reduce)
+export function buildNotesPrompt(text, { index, total, diarize = false, fromNotes = false }) {
+  return `
+    Anote os pontos principais do trecho ${index + 1} de ${total} de uma aula transcrita.
+    ${fromNotes ? "O texto abaixo já são anotações de trechos consecutivos; junte-as sem perder conceitos, definições, exemplos e termos técnicos." : "Registre os conceitos, definições, exemplos e termos técnicos mencionados, na ordem em que aparecem."}
+    ${diarize ? "Indique também as perguntas e intervenções dos alunos." : ""}
+    Use no máximo 15 linhas curtas, sem introdução nem conclusão.
+
+    Texto:
+    """${text}"""
+    `;
+}
+
+// Divide nas quebras de linha (ou no fim das frases) sem passar de maxChars
+export function dividirTexto(text, maxChars) {
+  const pieces = text.split(/(?<=\n)|(?<=[.!?])\s+/).filter(p => p.trim());
+  const blocks = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > maxChars) {
+      blocks.push(current.trim());
+      current = "";
+    }
+    // Uma frase maior que o bloco inteiro é cortada no limite
+    for (let start = 0; start < piece.length; start += maxChars) {
+      const slice = piece.slice(start, start + maxChars);
+      if (current && current.length + slice.length + 1 > maxChars) {
+        blocks.push(current.trim());
+        current = "";
+      }
+      current += (current && !current.endsWith("\n") ? " " : "") + slice;
+    }
+  }
+  if (current.trim()) blocks.push(current.trim());
+  return blocks;
+}
+
+// Anotações de toda a transcrição, já reduzidas para caber num prompt.
+// Devolve [] quando o texto cabe inteiro (o estilo usa o texto direto).
+export async function anotarTranscricao(text, { gerar, maxChars, diarize = false, onProgress = () => {} }) {
+  if (text.length <= maxChars) return [];
+
+  let notes = dividirTexto(text, maxChars);
+  let fromNotes = false;
+  let level = 1;
+  while (fromNotes === false || notes.join("\n\n").length > maxChars) {
+    const blocks = fromNotes ? dividirTexto(notes.join("\n\n"), maxChars) : notes;
+    // Se um nível não reduziu nada, o modelo não está resumindo: evita laço infinito
+    if (fromNotes && blocks.length >= notes.length) break;
+    onProgress({ level, blocks: blocks.length });
+    notes = await Promise.all(blocks.map((block, index) =>
+      gerar(buildNotesPrompt(block, { index, total: blocks.length, diarize, fromNotes }))));
+    notes = notes.map(n => n.trim());
+    fromNotes = true;
+    level++;
+  }
+  return notes;
+}
+
+// Gera o estilo pedido a partir das anotações (ou do texto inteiro, se curto)
+export function gerarResumo(text, notes, { gerar, style = DEFAULT_SUMMARY_STYLE, diarize = false, languageName = null }) {
+  const fromNotes = notes.length > 0;
+  return gerar(buildSummaryPrompt(fromNotes ? notes.join("\n\n") : text, { style, diarize, fromNotes, languageName }));
+}
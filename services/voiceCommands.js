@@ -0,0 +1,265 @@
+// ==========================
+// Comandos de voz na transcrição ditada
+// ==========================
+// Professores que ditam material falam a pontuação e a formatação ("vírgula",
+// "nova linha", "título", "pergunta ... fim da pergunta"). Este módulo aplica
+// um conjunto de regras ao texto transcrito, sem depender da IA.
+//
+// Cada regra tem `phrases` (o que é falado) e `action`:
+//   pontuacao  insere `text` colado à palavra anterior (".", ",", "?", ...)
+//   linha      quebra de linha
+//   paragrafo  novo parágrafo (também encerra a lista)
+//   titulo     o que vem a seguir vira um título, até "fim do título" ou a
+//              próxima pontuação/quebra; `format` define a linha ("# {texto}")
+//   fimTitulo  encerra o título
+//   pergunta   o que vem a seguir vira uma pergunta, até "fim da pergunta" ou
+//              a próxima pontuação; termina com "?"
+//   fimPergunta
+//   lista      começa uma lista numerada
+//   item       novo item da lista ("1. ", "2. ", ...)
+//   fimLista   encerra a lista
+//   literal    a palavra seguinte entra como texto (ex.: "literal vírgula")
+//   regex      substituição direta no texto (`pattern`, `flags`, `replacement`),
+//              aplicada antes dos demais comandos. Só nas regras do servidor:
+//              uma expressão mal escrita trava o processo inteiro
+//
+// As frases são comparadas sem acentos, maiúsculas ou pontuação, e a mais
+// longa vence ("ponto e vírgula" antes de "ponto").
+
+export const VOICE_ACTIONS = ["pontuacao", "linha", "paragrafo", "titulo", "fimTitulo", "pergunta", "fimPergunta", "lista", "item", "fimLista", "literal", "regex"];
+
+export const DEFAULT_VOICE_RULES = [
+  { phrases: ["ponto final", "ponto"], action: "pontuacao", text: "." },
+  { phrases: ["vírgula"], action: "pontuacao", text: "," },
+  { phrases: ["ponto e vírgula"], action: "pontuacao", text: ";" },
+  { phrases: ["dois pontos"], action: "pontuacao", text: ":" },
+  { phrases: ["ponto de interrogação"], action: "pontuacao", text: "?" },
+  { phrases: ["ponto de exclamação"], action: "pontuacao", text: "!" },
+  { phrases: ["reticências"], action: "pontuacao", text: "..." },
+  { phrases: ["nova linha", "próxima linha"], action: "linha" },
+  { phrases: ["novo parágrafo", "próximo parágrafo"], action: "paragrafo" },
+  { phrases: ["título"], action: "titulo", format: "# {texto}" },
+  { phrases: ["fim do título"], action: "fimTitulo" },
+  { phrases: ["pergunta"], action: "pergunta" },
+  { phrases: ["fim da pergunta"], action: "fimPergunta" },
+  { phrases: ["lista numerada"], action: "lista" },
+  { phrases: ["novo item", "próximo item"], action: "item" },
+  { phrases: ["fim da lista"], action: "fimLista" },
+  { phrases: ["literal"], action: "literal" },
+];
+
+// Comportamento anterior aos comandos de voz: "pergunta X ponto" vira "pergunta (X) ponto"
+export const LEGACY_VOICE_RULES = [
+  { action: "regex", pattern: "(pergunta)(\\s+)(.*?)(\\s+)(ponto)", flags: "gi", replacement: "$1$2($3)$4$5" },
+];
+
+const FIM_DE_FRASE = [".", "?", "!", "..."];
+
+function normalizarPalavra(word) {
+  return word
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+// Devolve a lista de problemas encontrados (vazia se as regras são válidas).
+// Regras enviadas no pedido usam `allowRegex: false`.
+export function validarRegras(rules, { allowRegex = true } = {}) {
+  if (!Array.isArray(rules) || rules.length === 0) return ["As regras de comandos de voz devem ser uma lista com ao menos uma regra."];
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const label = `Regra ${i + 1}`;
+    if (!rule || !VOICE_ACTIONS.includes(rule.action)) {
+      errors.push(`${label}: "action" deve ser ${VOICE_ACTIONS.join(", ")}.`);
+      return;
+    }
+    if (rule.action === "regex") {
+      if (!allowRegex) {
+        errors.push(`${label}: a ação "regex" só pode ser usada nas regras do servidor (VOICE_COMMANDS_FILE).`);
+        return;
+      }
+      try {
+        new RegExp(rule.pattern, rule.flags);
+      } catch (e) {
+        errors.push(`${label}: "pattern" não é uma expressão regular válida (${e.message}).`);
+      }
+      if (typeof rule.replacement !== "string") errors.push(`${label}: falta "replacement".`);
+      return;
+    }
+    if (!Array.isArray(rule.phrases) || rule.phrases.length === 0 || rule.phrases.some(p => typeof p !== "string" || !normalizarPalavra(p))) {
+      errors.push(`${label}: "phrases" deve ser uma lista de frases não vazias.`);
+    }
+    if (rule.action === "pontuacao" && (typeof rule.text !== "string" || !rule.text)) errors.push(`${label}: falta o sinal em "text".`);
+    if (rule.action === "titulo" && rule.format !== undefined && (typeof rule.format !== "string" || !rule.format.includes("{texto}"))) {
+      errors.push(`${label}: "format" deve conter {texto}.`);
+    }
+  });
+  return errors;
+}
+
+// Texto em palavras e quebras de linha já existentes (diarização, por exemplo)
+function tokenizar(text) {
+  return text.split(/(\n+)|[ \t\r]+/).filter(Boolean).map(part => (part.startsWith("\n")
+    ? { newline: part.length }
+    : { raw: part, norm: normalizarPalavra(part) }));
+}
+
+// Frases de todas as regras, da mais longa para a mais curta
+function compilarFrases(rules) {
+  return rules
+    .filter(rule => rule.action !== "regex")
+    .flatMap(rule => rule.phrases.map(phrase => ({ words: phrase.split(/\s+/).map(normalizarPalavra).filter(Boolean), rule })))
+    .sort((a, b) => b.words.length - a.words.length);
+}
+
+function encontrarComando(tokens, i, phrases) {
+  return phrases.find(({ words }) => words.every((word, k) => tokens[i + k] && tokens[i + k].norm === word));
+}
+
+// Monta o texto formatado a partir dos tokens e comandos
+function criarEscritor() {
+  let out = "";
+  let capitalize = true;
+  const fimSemEspacos = () => { out = out.replace(/[ \t]+$/, ""); };
+  return {
+    get text() { return out; },
+    set text(value) { out = value; },
+    palavra(word) {
+      const text = capitalize ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+      out += (out && !out.endsWith("\n") ? " " : "") + text;
+      capitalize = FIM_DE_FRASE.some(end => word.endsWith(end));
+    },
+    pontuacao(sign) {
+      fimSemEspacos();
+      out = out.replace(/[.,;:]$/, "") + sign;
+      if (FIM_DE_FRASE.includes(sign)) capitalize = true;
+    },
+    quebra(count) {
+      fimSemEspacos();
+      if (!out) return;
+      const current = out.match(/\n*$/)[0].length;
+      if (current < count) out += "\n".repeat(count - current);
+      capitalize = true;
+    },
+    capitalizar() { capitalize = true; },
+  };
+}
+
+// Aplica as regras ao texto. Sem regras de comando (só `regex`), o texto
+// mantém a pontuação e as quebras originais.
+export function aplicarComandosDeVoz(text, rules = DEFAULT_VOICE_RULES) {
+  let result = String(text || "");
+  for (const rule of rules.filter(r => r.action === "regex")) {
+    result = result.replace(new RegExp(rule.pattern, rule.flags), rule.replacement);
+  }
+  const phrases = compilarFrases(rules);
+  if (phrases.length === 0) return result;
+
+  const tokens = tokenizar(result);
+  const writer = criarEscritor();
+  let title = null;     // { start, format }
+  let question = false;
+  let listNumber = null;
+
+  const fecharTitulo = () => {
+    if (!title) return;
+    const texto = writer.text.slice(title.start).trim().replace(/[.,;:]$/, "");
+    writer.text = writer.text.slice(0, title.start);
+    writer.quebra(2);
+    writer.text += title.format.replace("{texto}", () => texto);
+    writer.quebra(2);
+    title = null;
+  };
+  const fecharPergunta = () => {
+    if (!question) return;
+    question = false;
+    writer.pontuacao("?");
+  };
+  const fecharLista = () => {
+    if (listNumber === null) return;
+    listNumber = null;
+    writer.quebra(2);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.newline) {
+      fecharTitulo();
+      writer.quebra(Math.min(token.newline, 2));
+      continue;
+    }
+    const match = token.norm ? encontrarComando(tokens, i, phrases) : null;
+    if (!match) {
+      writer.palavra(token.raw);
+      continue;
+    }
+    i += match.words.length - 1;
+    const { rule } = match;
+
+    switch (rule.action) {
+      case "pontuacao":
+        if (title) {
+          fecharTitulo();
+        } else if (question && [".", "?"].includes(rule.text)) {
+          fecharPergunta();
+        } else {
+          writer.pontuacao(rule.text);
+        }
+        break;
+      case "linha":
+        fecharTitulo();
+        fecharPergunta();
+        writer.quebra(1);
+        break;
+      case "paragrafo":
+        fecharTitulo();
+        fecharPergunta();
+        listNumber = null;
+        writer.quebra(2);
+        break;
+      case "titulo":
+        fecharTitulo();
+        fecharPergunta();
+        writer.quebra(2);
+        title = { start: writer.text.length, format: rule.format || "# {texto}" };
+        writer.capitalizar();
+        break;
+      case "fimTitulo":
+        fecharTitulo();
+        break;
+      case "pergunta":
+        fecharPergunta();
+        question = true;
+        writer.capitalizar();
+        break;
+      case "fimPergunta":
+        fecharPergunta();
+        break;
+      case "lista":
+        fecharTitulo();
+        fecharPergunta();
+        writer.quebra(1);
+        listNumber = 0;
+        break;
+      case "item":
+        fecharTitulo();
+        fecharPergunta();
+        listNumber = (listNumber ?? 0) + 1;
+        writer.quebra(1);
+        writer.palavra(`${listNumber}.`);
+        writer.capitalizar();
+        break;
+      case "fimLista":
+        fecharPergunta();
+        fecharLista();
+        break;
+      case "literal":
+        if (tokens[i + 1] && tokens[i + 1].raw) writer.palavra(tokens[++i].raw);
+        break;
+    }
+  }
+  fecharTitulo();
+  fecharPergunta();
+  return writer.text.trim();
+}
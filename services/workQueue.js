@@ -0,0 +1,85 @@
+// ==========================
+// Fila de trabalho, limitador de taxa e nova tentativa com backoff
+// ==========================
+
+// Fila com concorrência limitada: run(task) devolve uma Promise com o
+// resultado de task(), que só começa quando há uma vaga livre.
+export function createWorkQueue({ concurrency = 1 } = {}) {
+  const pending = [];
+  let active = 0;
+
+  function next() {
+    if (active >= concurrency || pending.length === 0) return;
+    const { task, resolve, reject } = pending.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  function run(task) {
+    return new Promise((resolve, reject) => {
+      pending.push({ task, resolve, reject });
+      next();
+    });
+  }
+
+  return { run, size: () => pending.length + active };
+}
+
+// Token bucket: até `burst` requisições imediatas e depois
+// `requestsPerMinute` por minuto. Com requestsPerMinute = 0, não limita.
+export function createRateLimiter({ requestsPerMinute, burst = 1 }) {
+  if (!requestsPerMinute) return { acquire: async () => {} };
+
+  const refillMs = 60000 / requestsPerMinute;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) / refillMs);
+    lastRefill = now;
+  }
+
+  // As chamadas são encadeadas para que cada uma espere a anterior pegar o token
+  function acquire() {
+    queue = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await new Promise(res => setTimeout(res, (1 - tokens) * refillMs));
+        refill();
+      }
+      tokens -= 1;
+    });
+    return queue;
+  }
+
+  return { acquire };
+}
+
+// Erros transitórios: limite de cota (429), falhas do servidor (5xx) e de rede
+export function isTransientError(error) {
+  const status = error.status ?? error.statusCode;
+  if (status !== undefined) return status === 429 || status >= 500;
+  return /\b(429|50\d)\b|RESOURCE_EXHAUSTED|UNAVAILABLE|fetch failed|ECONNRESET|ETIMEDOUT/i.test(error.message || "");
+}
+
+export async function withRetry(fn, { retries = 4, baseDelayMs = 2000, maxDelayMs = 60000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) throw error;
+      // Backoff exponencial com variação aleatória para não sincronizar as tentativas
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await new Promise(res => setTimeout(res, delay));
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { aplicarComandosDeVoz, validarRegras, DEFAULT_VOICE_RULES, LEGACY_VOICE_RULES } from "../services/voiceCommands.js";
+
+test("a frase mais longa vence (ponto e vírgula antes de ponto)", () => {
+  assert.equal(aplicarComandosDeVoz("frações ponto e vírgula decimais ponto"), "Frações; decimais.");
+});
+
+test("comparação sem acentos nem maiúsculas", () => {
+  assert.equal(aplicarComandosDeVoz("primeiro VIRGULA segundo Ponto Final"), "Primeiro, segundo.");
+});
+
+test("título termina em fim do título ou na próxima pontuação", () => {
+  assert.equal(aplicarComandosDeVoz("título frações fim do título hoje vamos começar ponto"), "# Frações\n\nHoje vamos começar.");
+  assert.equal(aplicarComandosDeVoz("título frações ponto texto"), "# Frações\n\nTexto");
+});
+
+test("formato do título aceita $ no texto ditado", () => {
+  const rules = [{ phrases: ["título"], action: "titulo", format: "## {texto}" }, { phrases: ["fim do título"], action: "fimTitulo" }];
+  assert.equal(aplicarComandosDeVoz("título custo em $& reais fim do título", rules), "## Custo em $& reais");
+});
+
+test("pergunta termina em fim da pergunta ou em ponto, sempre com ?", () => {
+  assert.equal(aplicarComandosDeVoz("pergunta quanto é um meio fim da pergunta"), "Quanto é um meio?");
+  assert.equal(aplicarComandosDeVoz("pergunta qual é o tema ponto depois"), "Qual é o tema? Depois");
+});
+
+test("lista numerada conta os itens e termina em fim da lista", () => {
+  assert.equal(
+    aplicarComandosDeVoz("lista numerada novo item um meio próximo item dois terços fim da lista fim"),
+    "1. Um meio\n2. Dois terços\n\nFim",
+  );
+});
+
+test("literal escreve a palavra seguinte como texto", () => {
+  assert.equal(aplicarComandosDeVoz("a palavra literal vírgula ponto"), "A palavra vírgula.");
+});
+
+test("LEGACY_VOICE_RULES reproduz a regex antiga de perguntas", () => {
+  const antiga = text => text.replace(/(pergunta)(\s+)(.*?)(\s+)(ponto)/gi, "$1$2($3)$4$5");
+  for (const text of [
+    "pergunta qual é o tema da aula ponto",
+    "Pergunta   quanto vale x ponto e pergunta de novo ponto",
+    "sem comandos aqui",
+    "[00:04] pergunta qual é o tema ponto\n[00:09] outra frase",
+  ]) {
+    assert.equal(aplicarComandosDeVoz(text, LEGACY_VOICE_RULES), antiga(text));
+  }
+});
+
+test("validarRegras aceita as regras padrão e aponta problemas", () => {
+  assert.deepEqual(validarRegras(DEFAULT_VOICE_RULES), []);
+  assert.equal(validarRegras([]).length, 1);
+  assert.equal(validarRegras([{ phrases: ["ponto"], action: "pontuacao" }]).length, 1);
+  assert.equal(validarRegras([{ phrases: ["x"], action: "desconhecida" }]).length, 1);
+});
+
+test("regras regex só passam com allowRegex", () => {
+  const rules = [{ action: "regex", pattern: "\\bprofe\\b", flags: "gi", replacement: "professor" }];
+  assert.deepEqual(validarRegras(rules), []);
+  const errors = validarRegras(rules, { allowRegex: false });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /VOICE_COMMANDS_FILE/);
+  assert.equal(validarRegras([{ action: "regex", pattern: "(", replacement: "" }]).length, 1);
+});